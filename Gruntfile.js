@@ -17,9 +17,11 @@ module.exports = grunt => {
   const Builder = require( './src/Builder' );
   const chalk = require( 'chalk' );
   const Copyright = require( './src/Copyright' );
+  const Deployer = require( './src/Deployer' );
   const Generator = require( './src/Generator' );
   const Labeler = require( './src/Labeler' );
   const Linter = require( './src/Linter' );
+  const Server = require( './src/Server' );
   const updateNotifier = require( 'update-notifier' ); // eslint-disable-line require-statement-match
   const Util = require( './src/Util' );
 
@@ -119,7 +121,74 @@ module.exports = grunt => {
     Util.wrap( path => { Util.updateNewlines( path || './' ); } ) );
 
 
-  grunt.registerTask( 'build', Util.wrapAsync( async () => { await Builder.build(); } ) );
+  /**
+   * Builds the project that invoked the command based on its buildrc.json file. See grunt-config/src/Builder for more
+   * information and grunt-config/example.buildrc.json for all available options.
+   *
+   * @param {String} [target] - the name of a build target (in the targets map of the buildrc.json file) to build. If
+   *                            not provided, all targets are built.
+   *
+   * Run with --watch to watch the source directory and incrementally rebuild when files change.
+   * Run with --report to generate a per-module bundle size report (build-report.json and a build-report.html treemap)
+   * in the build directory, for requirejs and esm projects.
+   * Run with --no-cache to build without using the disk cache (of transpiled requirejs modules and budget sizes).
+   */
+  grunt.registerTask( 'build',
+    'Builds the project that invoked the command based on its buildrc.json file. See grunt-config/src/Builder for ' +
+    chalk`more doc.\n\nRun {cyan grunt build:<target>} to only build one of the targets declared in buildrc.json.` +
+    chalk`\n\nRun with {yellow --watch} to incrementally rebuild when source files change.\n\nRun with ` +
+    chalk`{yellow --report} to generate a per-module bundle size report in the build directory.\n\nRun with ` +
+    chalk`{yellow --no-cache} to build without using the disk cache of transpiled modules and budget sizes.\n`,
+    Util.wrapAsync( async target => {
+      await Builder.build( {
+        target,
+        watch: !!grunt.option( 'watch' ),
+        report: !!grunt.option( 'report' ),
+        cache: !grunt.option( 'no-cache' )
+      } );
+    } ) );
+
+  /**
+   * Serves the source directory of the project that invoked the command (based on its buildrc.json file) over HTTP
+   * with live-reloading, until the process is stopped. See grunt-config/src/Server for more information.
+   *
+   * @param {String} [target] - the name of a build target (in the targets map of the buildrc.json file) whose
+   *                            directories to serve. If not provided, the first target is served.
+   *
+   * Run with --build to serve the build directory instead.
+   * Run with --port=<port> to listen on another port (defaults to 8080).
+   * Run with --host=<host> to listen on another host (defaults to 127.0.0.1, so that only this machine can connect).
+   */
+  grunt.registerTask( 'serve',
+    'Serves the source directory of the project that invoked the command over HTTP, reloading pages when files ' +
+    chalk`change. See grunt-config/src/Server for more doc.\n\nRun {cyan grunt serve:<target>} to serve the ` +
+    chalk`directories of one of the targets declared in buildrc.json.\n\nRun with {yellow --build} to serve the ` +
+    chalk`build directory instead.\n\nRun with {yellow --port=<port>} to listen on another port.\n\nRun with ` +
+    chalk`{yellow --host=<host>} to listen on another host (like 0.0.0.0 to allow other devices to connect).\n`,
+    Util.wrapAsync( async target => {
+      const port = grunt.option( 'port' ) === undefined ? undefined : Number( grunt.option( 'port' ) );
+      const host = grunt.option( 'host' ) === undefined ? undefined : String( grunt.option( 'host' ) );
+      await Server.serve( { target, build: !!grunt.option( 'build' ), host, port } );
+    } ) );
+
+  /**
+   * Builds the project that invoked the command and deploys its build directory to a git branch (the gh-pages branch
+   * of GitHub Pages by default), using a temporary git worktree. The branch and remote are configured with the ghPages
+   * key of the buildrc.json file. See grunt-config/src/Deployer for more information.
+   *
+   * @param {String} [target] - the name of a build target (in the targets map of the buildrc.json file) to build and
+   *                            deploy. Required if the buildrc.json file declares multiple targets.
+   *
+   * Run with --dry-run to show the files that would change, without committing or pushing.
+   */
+  grunt.registerTask( 'deploy-gh-pages',
+    'Builds the project that invoked the command and commits its build directory to a git branch (gh-pages by ' +
+    'default), then pushes it. See grunt-config/src/Deployer for more doc.\n\nRun ' +
+    chalk`{cyan grunt deploy-gh-pages:<target>} to deploy one of the targets declared in buildrc.json.\n\nRun with ` +
+    chalk`{yellow --dry-run} to show the files that would change, without committing or pushing.\n`,
+    Util.wrapAsync( async target => {
+      await Deployer.deploy( { target, dryRun: !!grunt.option( 'dry-run' ) } );
+    } ) );
 
   //----------------------------------------------------------------------------------------
   // The following commands generate files.
@@ -0,0 +1,173 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Checks the sizes of the build files of requirejs and esm projects against the budgets option of the buildrc file,
+ * used by `grunt build`. See ./Builder.js.
+ *
+ * Budgets are maximum sizes (in bytes) of each output bundle, each generated page (like index.html), and each copied
+ * asset (see Builder.copyAssets()). Each budget can limit the raw size, the gzip size, or both. For instance:
+ *
+ *   "budgets": {
+ *     "bundle": { "raw": 200000, "gzip": 60000 },
+ *     "html": { "gzip": 70000 },
+ *     "assets": { "raw": 500000 }
+ *   }
+ *
+ * A table of the sizes of the budgeted files, their limits, and the change since the previous build is logged. The
+ * sizes of each build are recorded in the disk cache (see ./Cache.js) to compare with the next build, unless the disk
+ * cache isn't used (with --no-cache). The build fails if a budget is exceeded.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const Cache = require( './Cache' );
+  const chalk = require( 'chalk' );
+  const fs = require( 'fs' );
+  const path = require( 'path' );
+  const Util = require( './Util' );
+  const zlib = require( 'zlib' );
+
+  // constants
+  const BUDGET_NAMES = [ 'bundle', 'html', 'assets' ];
+  const SIZE_KINDS = [ 'raw', 'gzip' ];
+  const CACHE_NAMESPACE = 'budgets';
+  const TABLE_HEADER = [ 'File', 'Raw', 'Limit', 'Change', 'Gzip', 'Limit', 'Change' ];
+
+  class BudgetChecker {
+
+    /**
+     * Measures the budgeted build files, logs the table of their sizes, and fails the build if a budget is exceeded.
+     * @public
+     *
+     * @param {Object} buildConfiguration - see Builder.getBuildConfiguration()
+     * @param {Object} buildFiles - Object literal with the files that were written, see Builder.buildProject():
+     *                              - {String[]} bundleFiles - the output files of the bundles
+     *                              - {String[]} htmlFiles - the generated pages
+     *                              - {Object} assetManifest - the copied assets, see Builder.copyAssets()
+     * @param {boolean} [useCache] - indicates if the sizes of the previous build should be read from and written to the
+     *                               disk cache. If false, the changes since the previous build aren't logged.
+     */
+    static check( buildConfiguration, { bundleFiles, htmlFiles, assetManifest }, useCache = true ) {
+      const { buildDirectory, budgets } = buildConfiguration;
+
+      // The budgeted files, relative to the build directory (posix style), each with its budget.
+      const files = [
+        ...( budgets.bundle ? bundleFiles : [] ).map( file => ( { file, budget: budgets.bundle } ) ),
+        ...( budgets.html ? htmlFiles : [] ).map( file => ( { file, budget: budgets.html } ) ),
+        ...( budgets.assets ? Object.values( assetManifest ) : [] ).map( file => ( { file, budget: budgets.assets } ) )
+      ];
+
+      const cacheKey = Cache.getKey( buildDirectory );
+      const previousSizes = useCache ? JSON.parse( Cache.read( CACHE_NAMESPACE, cacheKey ) || '{}' ) : null;
+      const sizes = {};
+      const violations = [];
+
+      const rows = files.map( ( { file, budget } ) => {
+        sizes[ file ] = this.measure( path.join( buildDirectory, file ) );
+
+        return _.flatMap( SIZE_KINDS, kind => {
+          const size = sizes[ file ][ kind ];
+          const limit = budget[ kind ];
+          const previousSize = previousSizes && previousSizes[ file ] ? previousSizes[ file ][ kind ] : null;
+          if ( limit !== undefined && size > limit ) {
+            violations.push( `${ file } has a ${ kind } size of ${ size } bytes, which exceeds its budget of `
+              + `${ limit } bytes.` );
+          }
+          return [
+            { text: `${ size }`, color: limit === undefined ? null : size > limit ? 'red' : 'green' },
+            { text: limit === undefined ? '-' : `${ limit }` },
+            { text: !previousSizes ? '-' : previousSize === null ? 'new' : this.formatChange( previousSize, size ) }
+          ];
+        } );
+      } ).map( ( cells, index ) => [ { text: files[ index ].file, color: 'cyan' }, ...cells ] );
+
+      this.logTable( [ TABLE_HEADER.map( text => ( { text } ) ), ...rows ] );
+
+      // Record the sizes before failing, so that the next build is compared with this build.
+      if ( useCache ) Cache.write( CACHE_NAMESPACE, cacheKey, JSON.stringify( sizes ) );
+
+      Util.assert( !violations.length, `${ Util.pluralize( 'size budget', violations.length ) } exceeded:\n  `
+        + violations.join( '\n  ' ) );
+    }
+
+    /**
+     * Validates the budgets option of a build configuration. See Builder.getBuildConfiguration().
+     * @public
+     *
+     * @param {Object} buildConfiguration - see Builder.getBuildConfiguration()
+     */
+    static validateBudgets( buildConfiguration ) {
+      const budgets = buildConfiguration.budgets;
+      const bundleOptions = buildConfiguration.requirejs || buildConfiguration.esm;
+
+      Util.assert( Object.getPrototypeOf( budgets ) === Object.prototype,
+        'the buildrc.json budgets key must map to a object.' );
+      Util.assert( bundleOptions, 'the buildrc.json budgets key is only supported for requirejs and esm projects.' );
+
+      Util.iterate( budgets, ( name, budget ) => {
+        Util.assert( BUDGET_NAMES.includes( name ), `the buildrc.json budgets key "${ name }" must be one of: `
+          + BUDGET_NAMES.join( ', ' ) );
+        Util.assert( budget === null || ( Object.getPrototypeOf( budget ) === Object.prototype
+          && Object.keys( budget ).every( kind => SIZE_KINDS.includes( kind )
+            && Number.isInteger( budget[ kind ] ) && budget[ kind ] >= 0 ) ),
+          `the buildrc.json budgets.${ name } key must map to a object with raw and/or gzip sizes, in bytes.` );
+      } );
+      Util.assert( !budgets.html || bundleOptions.generateBuildHtml, 'the buildrc.json budgets.html key requires '
+        + 'requirejs.generateBuildHtml (or esm.generateBuildHtml).' );
+      Util.assert( !budgets.assets || buildConfiguration.assets,
+        'the buildrc.json budgets.assets key requires the assets key.' );
+    }
+
+    /**
+     * Measures the raw and gzip size of a file. The gzip size uses the best compression level, like most servers that
+     * pre-compress static files.
+     * @private
+     *
+     * @param {String} filePath - absolute path of the file
+     * @returns {Object} - { raw: {number}, gzip: {number} }, in bytes
+     */
+    static measure( filePath ) {
+      const contents = fs.readFileSync( filePath );
+      const gzipped = zlib.gzipSync( contents, { level: zlib.constants.Z_BEST_COMPRESSION } );
+      return { raw: contents.length, gzip: gzipped.length };
+    }
+
+    /**
+     * Formats the change between two sizes, for instance BudgetChecker.formatChange( 10, 12 ) returns '+2'.
+     * @private
+     *
+     * @param {number} previousSize - in bytes
+     * @param {number} size - in bytes
+     * @returns {string}
+     */
+    static formatChange( previousSize, size ) {
+      const change = size - previousSize;
+      return change === 0 ? 'no change' : `${ change > 0 ? '+' : '' }${ change }`;
+    }
+
+    /**
+     * Logs a table with aligned columns. Cells are padded before they are colored, since the escape codes of colors
+     * would count towards the width of the cell.
+     * @private
+     *
+     * @param {Object[][]} rows - the rows (including the header), each a array of cells with text and an optional color
+     */
+    static logTable( rows ) {
+      const widths = rows[ 0 ].map( ( cell, column ) => _.max( rows.map( row => row[ column ].text.length ) ) );
+
+      Util.logln( chalk`\n\nSize budgets (bytes):` );
+      rows.forEach( row => {
+        Util.logln( '  ' + row.map( ( { text, color }, column ) => {
+          const padded = text.padEnd( widths[ column ] );
+          return color ? chalk[ color ]( padded ) : padded;
+        } ).join( '  ' ).trimEnd() );
+      } );
+    }
+  }
+
+  return BudgetChecker;
+} )();
\ No newline at end of file
@@ -0,0 +1,126 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Writes the build-manifest.json file of a build, used by `grunt build`. See ./Builder.js.
+ *
+ * The manifest records where a build came from, so that a deployed build can be traced back to its source. It contains
+ * the build info (see getBuildInfo()), the version of grunt-config, the resolved options of the buildrc file (see
+ * Builder.getBuildConfiguration(), with paths relative to the root of the repository), and the SHA-256 hash of every
+ * output file of the build directory. For instance:
+ *
+ *   {
+ *     "version": "1.2.0",
+ *     "commit": "0c5f8d1e...",
+ *     "dirty": false,
+ *     "timestamp": "2020-05-17T18:04:12.301Z",
+ *     "gruntConfigVersion": "1.0.0",
+ *     "target": null,
+ *     "options": { "sourceDirectory": ".", "buildDirectory": "build", ... },
+ *     "files": { "index.html": "9f86d081...", ... }
+ *   }
+ *
+ * The build info can also be injected into the build as the BUILD_INFO compile-time constant (see the injectBuildInfo
+ * option), so that the application can display it.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const crypto = require( 'crypto' );
+  const fs = require( 'fs' );
+  const Generator = require( './Generator' );
+  const grunt = require( 'grunt' );
+  const path = require( 'path' );
+  const shell = require( 'shelljs' ); // eslint-disable-line require-statement-match
+  const Util = require( './Util' );
+
+  // constants
+  const MANIFEST_FILE = 'build-manifest.json';
+  const GRUNT_CONFIG_VERSION = grunt.file.readJSON( path.join( Util.GRUNT_CONFIG_PATH, 'package.json' ) ).version;
+
+  class BuildManifest {
+
+    /**
+     * Gets the build info of a build that starts now, which is the version of the package (see ./Generator.js), the
+     * current git commit of the repository, whether the repository has uncommitted changes to tracked files, and the
+     * timestamp of the build. The commit and dirty flag are null if the repository isn't a git repository (or doesn't
+     * have any commits).
+     * @public
+     *
+     * @returns {Object} - { version: {String}, commit: {String|null}, dirty: {boolean|null}, timestamp: {String} }
+     */
+    static getBuildInfo() {
+
+      // Runs a git command in the repository, returning its output (or null if it failed).
+      const git = command => {
+        const { code, stdout } = shell.exec( command, { cwd: Util.REPO_PATH, silent: true } );
+        return code === 0 ? stdout.trim() : null;
+      };
+      const commit = shell.which( 'git' ) ? git( 'git rev-parse --verify --quiet HEAD' ) || null : null;
+
+      return {
+        version: Generator.getValue( 'VERSION' ),
+        commit,
+
+        // Untracked files are ignored, since build directories are usually untracked.
+        dirty: commit ? !!git( 'git status --porcelain --untracked-files=no' ) : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    /**
+     * Gets the path of the build-manifest.json file of a build directory.
+     * @public
+     *
+     * @param {String} buildDirectory - absolute path of the build directory
+     * @returns {String} - absolute path of the manifest file
+     */
+    static getPath( buildDirectory ) {
+      return path.join( buildDirectory, MANIFEST_FILE );
+    }
+
+    /**
+     * Writes the build-manifest.json file to the build directory, with the hash of every other file of the build
+     * directory. Should be called after every output file has been written.
+     * @public
+     *
+     * @param {Object} buildConfiguration - see Builder.getBuildConfiguration()
+     * @returns {String} - absolute path of the manifest file
+     */
+    static write( buildConfiguration ) {
+      const { buildInfo, target, ...options } = buildConfiguration;
+      const manifestPath = this.getPath( options.buildDirectory );
+
+      const files = {};
+      if ( grunt.file.isDir( options.buildDirectory ) ) {
+        Util.walkDirectory( options.buildDirectory, ( filePath, relativePath ) => {
+          if ( filePath === manifestPath ) return;
+          files[ relativePath ] = crypto.createHash( 'sha256' ).update( fs.readFileSync( filePath ) ).digest( 'hex' );
+        }, [] );
+      }
+
+      // Absolute paths of the options (like the source directory) are written relative to the root of the repository,
+      // so that the manifest doesn't depend on where the repository was built.
+      const toRelativePath = ( key, value ) => {
+        const isRepositoryPath = typeof value === 'string' && path.isAbsolute( value )
+          && value.startsWith( Util.REPO_PATH );
+        return isRepositoryPath ? Util.toPosixPath( path.relative( Util.REPO_PATH, value ) ) || '.' : value;
+      };
+      const manifest = JSON.stringify( {
+        ...buildInfo,
+        gruntConfigVersion: GRUNT_CONFIG_VERSION,
+        target,
+        options,
+        files
+      }, toRelativePath, 2 );
+
+      grunt.file.write( manifestPath, manifest );
+      return manifestPath;
+    }
+  }
+
+  return BuildManifest;
+} )();
\ No newline at end of file
@@ -3,19 +3,45 @@
 /**
  * Builder/compiler that optimizes, minifies, mangles, and transpiles code.
  *
- * Requires the root repository that invoked the command to contain a buildrc.json file that configures the build
- * options such as output location and source code location. See grunt-config/example.buildrc.json for an example
- * buildrc file and full documentation of all available options.
+ * Requires the root repository that invoked the command to contain a buildrc.json (or buildrc.js) file that configures
+ * the build options such as output location and source code location. See grunt-config/example.buildrc.json for an
+ * example buildrc file and full documentation of all available options, and ./UserConfig.js for how it is read.
  *
- * Uses Terser for minification and Babel for transpilation. See https://terser.org and https://babeljs.io.
+ * Uses Terser for minification and Babel for transpilation. See https://terser.org and https://babeljs.io. The JS files
+ * of the build are then verified to only use syntax that the browser targets support (see ./SyntaxVerifier.js).
+ * Minified code starts with a banner (a template of the buildrc file), and the license comments of bundled third-party
+ * code can either be removed, preserved, or extracted into a THIRD_PARTY_LICENSES.txt file (see minify()).
  *
  * If the project is a requirejs project (indicated in the buildrc file), will use the r.js build optimizer to compile
  * the project into one file before minifying and transpiling. See https://requirejs.org/docs/optimization.html.
- * There is an option to generate a index.html file with the requirejs minified code as the only script. This only
- * works if there is an index.html file.
+ * The polyfills (see ./Polyfill.js) of the APIs that the optimized code uses are injected for the browser targets.
+ * There is an option to generate a index.html file from the source index.html file, where the requirejs script tags
+ * are replaced with the minified code (either inlined or referenced). This only works if there is an index.html file.
+ * Multi-page requirejs projects can declare a bundle for each entry and page instead (or a glob pattern of pages, each
+ * paired with its own entry, see expandBundlePages()), in which case the modules shared by the entries are extracted
+ * into a common bundle (see optimizeAMDBundles()).
+ * The local stylesheets of the index.html file can also be bundled and minified (see buildStylesheet()), and static
+ * assets can be copied with content-hashed file names (see copyAssets()). The generated pages can reference their
+ * scripts and stylesheets with Subresource Integrity hashes, and can declare a Content-Security-Policy that allows
+ * their inline scripts (see getIntegrityAttributes() and getContentSecurityPolicy()). The sizes of the build files can
+ * be checked against budgets that fail the build (see ./BudgetChecker.js), and gzip and brotli versions of the build
+ * files can be written for static hosts that serve them directly (see precompress()).
  *
- * Otherwise, if the project isn't a requirejs project, this file will optimize the .js files in the source directory
- * and copy it over it to the build directory (with the same relative subdirectory paths).
+ * If the project is a native ES module project (the esm option), the import graph of its entry module is bundled into
+ * a single scope-hoisted IIFE instead (see ./Bundler.js), which is then compiled (and injected into the generated
+ * index.html file) the same way as requirejs projects.
+ *
+ * Otherwise, if the project isn't a requirejs or esm project, this file will optimize the .js files in the source
+ * directory and copy it over it to the build directory (with the same relative subdirectory paths).
+ *
+ * Compile-time constants (the defines option, for instance { "DEBUG": false }) are substituted into the code before
+ * compiling, so that unreachable branches like `if ( DEBUG ) { ... }` are removed when minifying.
+ *
+ * Every build writes a build-manifest.json file to the build directory, which records the version, git commit, and
+ * options of the build and the hash of each output file (see ./BuildManifest.js).
+ *
+ * The buildrc file can also declare named build targets (for instance, a debug build and a production build), each
+ * with its own build directory and options that inherit from the top-level options. See getBuildConfiguration().
  *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
@@ -25,18 +51,37 @@ module.exports = ( () => {
 
   // modules
   const babel = require( '@babel/core' ); // eslint-disable-line require-statement-match
+  const browserslist = require( 'browserslist' );
+  const BudgetChecker = require( './BudgetChecker' );
+  const BuildManifest = require( './BuildManifest' );
+  const Bundler = require( './Bundler' );
+  const Cache = require( './Cache' );
+  const chalk = require( 'chalk' );
+  const CleanCSS = require( 'clean-css' ); // eslint-disable-line require-statement-match
+  const crypto = require( 'crypto' );
   const fs = require( 'fs' );
   const Generator = require( './Generator' );
   const grunt = require( 'grunt' );
   const path = require( 'path' );
   const Polyfill = require( './Polyfill' );
+  const Reporter = require( './Reporter' );
   const requirejs = require( 'requirejs' );
   const shell = require( 'shelljs' ); // eslint-disable-line require-statement-match
+  const sourceMap = require( 'source-map' ); // eslint-disable-line require-statement-match
+  const SyntaxVerifier = require( './SyntaxVerifier' );
   const terser = require( 'terser' );
   const UserConfig = require( './UserConfig' );
   const Util = require( './Util' );
+  const Watcher = require( './Watcher' );
+  const zlib = require( 'zlib' );
 
   // constants
+  // The default banner template of the minified code, with Generator placeholders. See the banner compress option.
+  const DEFAULT_BANNER = '// Copyright © {{AUTHOR}}. All rights reserved.\n\n'
+                         + '/**\n'
+                         + ' * @license {{REPO_NAME}} {{VERSION}}\n'
+                         + ' * Released under {{LICENSE}}\n'
+                         + ' */';
   const DEFUALT_BUILD_OPTIONS = {
     sourceDirectory: '.',
     buildDirectory: 'build',
@@ -45,9 +90,21 @@ module.exports = ( () => {
       mangle: true,
       minifyOverrideOptions: {},
       babelTranspile: true,
-      babelOverrideOptions: {}
+      babelOverrideOptions: {},
+      sourceMaps: false,
+      targets: null,
+      precompress: false,
+      verifySyntax: true,
+      banner: DEFAULT_BANNER,
+      licenseComments: 'none'
     },
     requirejs: null,
+    esm: null,
+    css: null,
+    assets: null,
+    budgets: null,
+    defines: {},
+    injectBuildInfo: false,
     preBuild: null,
     postBuild: null
   };
@@ -56,103 +113,1596 @@ module.exports = ( () => {
     mainEntry: `${ Generator.getValue( 'REPO_NAME' ) }-main`,
     outputFile: `${ Generator.getValue( 'REPO_NAME' ) }-${ Generator.getValue( 'VERSION' ) }.min.js`,
     generateBuildHtml: true,
-    overrideOptions: {}
+    buildHtmlScript: 'inline',
+    subresourceIntegrity: false,
+    contentSecurityPolicy: null,
+    overrideOptions: {},
+    bundles: null,
+    commonOutputFile: `${ Generator.getValue( 'REPO_NAME' ) }-common-${ Generator.getValue( 'VERSION' ) }.min.js`
+  };
+  const DEFAULT_ESM_OPTIONS = {
+    entry: `js/${ Generator.getValue( 'REPO_NAME' ) }-main.js`,
+    outputFile: `${ Generator.getValue( 'REPO_NAME' ) }-${ Generator.getValue( 'VERSION' ) }.min.js`,
+    generateBuildHtml: true,
+    buildHtmlScript: 'inline',
+    subresourceIntegrity: false,
+    contentSecurityPolicy: null
+  };
+  const DEFAULT_CSS_OPTIONS = {
+    inline: false,
+    outputFile: `${ Generator.getValue( 'REPO_NAME' ) }.min.css`,
+    minifyOverrideOptions: {}
+  };
+  const DEFAULT_ASSETS_OPTIONS = {
+    patterns: [],
+    hash: false
   };
   const MINIFY_DEFAULTS = {
     babelTranspile: true,
     mangle: true,
-    beautify: false
+    beautify: false,
+    module: true, // mangles top-level names. Scripts that share globals (non-requirejs projects) can't use this.
+    safari10: true, // works around the Safari 10 loop iterator bug. Only needed if Safari 10 is targeted.
+    defines: {}, // compile-time constants (see substituteDefines()), so that unreachable branches are removed.
+    preamble: true, // indicates if the banner should be added at the top of the minified code
+    banner: null, // the resolved banner, see the banner compress option
+    licenseComments: 'none', // see the licenseComments compress option and LICENSE_COMMENTS_VALUES
+    sourceMap: false,
+    inputSourceMap: null,
+    sourceFileName: 'input.js'
+  };
+  const SOURCE_MAPS_VALUES = [ false, 'external', 'inline' ];
+
+  // What happens to the license comments of the minified code (like the comments of bundled third-party code): they
+  // are either removed, preserved at the top of the code, or extracted into LICENSES_FILE next to each bundle. See
+  // minify().
+  const LICENSE_COMMENTS_VALUES = [ 'none', 'preserve', 'extract' ];
+  const LICENSES_FILE = 'THIRD_PARTY_LICENSES.txt';
+
+  // Matches the value of a comment that is a license comment, like /*! ... */ or a comment with @license.
+  const LICENSE_COMMENT_REGEX = /^\**!|@license|@preserve/i;
+  const BUILD_HTML_SCRIPT_VALUES = [ 'inline', 'src' ];
+  const CONTENT_SECURITY_POLICY_VALUES = [ null, 'meta', 'file' ];
+
+  // Matches the stylesheet link tags of a index.html file, and the href attribute of a link tag.
+  const STYLESHEET_LINK_REGEX = /<link\b[^>]*\brel\s*=\s*["']?stylesheet\b[^>]*>/gi;
+  const HREF_REGEX = /\bhref\s*=\s*(["']?)([^"'\s>]+)\1/i;
+
+  // Matches urls that aren't local to the project, like 'https://...', '//...', or 'data:...'.
+  const REMOTE_URL_REGEX = /^([a-z]+:|\/\/)/i;
+
+  // The number of hexadecimal characters of the content hash in hashed file names. See getHashedPath().
+  const HASH_LENGTH = 8;
+
+  // Matches the references of HTML attributes and CSS urls, with the reference as the second group. See
+  // rewriteAssetReferences().
+  const ASSET_REFERENCE_REGEX = /(\burl\(\s*["']?|\b(?:src|href)\s*=\s*["']?)([^"'()\s>]+)/gi;
+
+  // The file (in the build directory) that maps the path of each asset to the path that it was copied to.
+  const ASSET_MANIFEST_FILE = 'asset-manifest.json';
+
+  // The project metadata and config files (gitignore-style patterns) at the root of the repository, which aren't built,
+  // copied as assets, or served if the source directory is the root of the repository. See getIgnorePattern().
+  const PROJECT_FILES = [ 'package.json', 'package-lock.json', 'yarn.lock', 'buildrc.json', 'buildrc.js',
+    'Gruntfile.js', '.env*', '.eslintrc*', '.babelrc*', 'babel.config.*', '.gitignore', '.github', '.travis.yml' ];
+
+  // Matches the requirejs script tags of a index.html file, either with a data-main attribute or a require.js source.
+  const REQUIRE_JS_SCRIPT_REGEX = /<script\b[^>]*\b(data-main\s*=|src\s*=\s*["']?[^"'\s>]*\brequire(\.min)?\.js\b)[^>]*>\s*<\/script>/gi;
+
+  // Matches the module script tags (with a source) of a index.html file, for esm projects.
+  const MODULE_SCRIPT_REGEX = /<script\b[^>]*\btype\s*=\s*["']?module\b[^>]*>\s*<\/script>/gi;
+
+  // Matches the script and style elements of a generated page, with the attributes as the second group and the contents
+  // as the third group, and the src attribute of a script tag. See getContentSecurityPolicy().
+  const SCRIPT_OR_STYLE_REGEX = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+  const SRC_REGEX = /\bsrc\s*=\s*(["']?)([^"'\s>]+)\1/i;
+
+  // Matches a html option of the requirejs.bundles option that is a glob pattern, and the placeholder of the path of
+  // each matched page. See expandBundlePages().
+  const GLOB_REGEX = /[*?[\]{}!]/;
+  const PAGE_PLACEHOLDER = '{{PAGE}}';
+
+  // The global that the common bundle of requirejs projects with multiple bundles exposes the almond loader on, for the
+  // bundles of the entries. See optimizeAMDBundles().
+  const AMD_LOADER_GLOBAL = 'self.gruntConfigAMDLoader';
+
+  // The extensions of the build files that are precompressed, and the compressed files written next to them (with
+  // the best compression levels, since they are compressed once and served many times). See precompress().
+  const PRECOMPRESS_EXTENSIONS = [ 'js', 'css', 'html' ];
+  const COMPRESSED_FILES = {
+    gz: contents => zlib.gzipSync( contents, { level: zlib.constants.Z_BEST_COMPRESSION } ),
+    br: contents => zlib.brotliCompressSync( contents, {
+      params: { [ zlib.constants.BROTLI_PARAM_QUALITY ]: zlib.constants.BROTLI_MAX_QUALITY }
+    } )
   };
 
+  // Matches the preBuild and postBuild hooks that are paths of JS modules instead of commands. See runHooks().
+  const HOOK_MODULE_REGEX = /^\S+\.c?js$/;
+
+  // Browsers to target if neither the buildrc file, package.json, nor a .browserslistrc file provide targets.
+  // See http://browserl.ist/?q=%3E+0.5%25%2C+safari+9-11%2C+Firefox+ESR%2C+IE+11%2C+ios_saf+11
+  const DEFAULT_BROWSER_TARGETS = [ '> 0.5%', 'safari 9-11', 'Firefox ESR', 'IE 11', 'ios_saf 11' ];
+
+  // Maps the absolute path of each requirejs module to its contents and transpiled code from the last build, to reuse
+  // transpiled modules that haven't changed when rebuilding. See optimizeAMD() and watch().
+  const TRANSPILE_CACHE = {};
+
+  // Rebuilds are chained so that changes made while rebuilding are rebuilt afterwards. The rebuilds of every build
+  // target share the chain, since r.js can't optimize multiple projects at the same time. See watch().
+  let rebuildQueue = Promise.resolve();
+
   class Builder {
 
     /**
-     * The main API of this file. Runs the builder/compiler such that it optimizes, minifies, mangles, and transpiles code based on a buildrc file.
-     * See the comment at the top of the file for more documentation.
+     * The main API of this file. Runs the builder/compiler such that it optimizes, minifies, mangles, and transpiles
+     * code based on a buildrc file. See the comment at the top of the file for more documentation.
      * @public
+     *
+     * If the buildrc file declares build targets (see getBuildConfiguration()), either the given target or every
+     * target (in the order they were declared) is built. Otherwise, the top-level options are built.
+     *
+     * @param {Object} [options] - Object literal with:
+     *                             - {String} [target] - the name of the build target to build. If not provided, all
+     *                                                   targets are built.
+     *                             - {boolean} [watch] - indicates if Builder should watch the source directory after
+     *                                                   building and incrementally rebuild when files change.
+     *                             - {boolean} [report] - indicates if Builder should generate a per-module bundle size
+     *                                                    report for requirejs and esm projects. See ./Reporter.js.
+     *                             - {boolean} [cache] - indicates if the disk cache of transpiled requirejs modules
+     *                                                   (see optimizeAMD()), precompressed files (see precompress()),
+     *                                                   and the sizes of the previous build (see ./BudgetChecker.js)
+     *                                                   should be used.
      */
-    static async build() {
+    static async build( { target, watch = false, report = false, cache = true } = {} ) {
+      Util.assert( !target || typeof target === 'string', `invalid target: ${ target }` );
+      Util.assert( typeof watch === 'boolean', `invalid watch: ${ watch }` );
+      Util.assert( typeof report === 'boolean', `invalid report: ${ report }` );
+      Util.assert( typeof cache === 'boolean', `invalid cache: ${ cache }` );
 
-      // Check that the user has implemented the buildrc.json file.
-      Util.assert( UserConfig.BUILD_RC, 'buildrc.json is required for building and was not found.\n'
+      // Get the build configuration of each target to build.
+      const buildConfigurations = this.getBuildConfigurations( target );
+      const newSizes = [];
+
+      for ( const buildConfiguration of buildConfigurations ) {
+        if ( buildConfiguration.target ) {
+          Util.logln( chalk`\n\nBuilding target {cyan ${ buildConfiguration.target }}...` );
+        }
+
+        // If provided, run the preBuild hooks before building.
+        await this.runHooks( 'preBuild', buildConfiguration );
+
+        const buildResult = await this.buildProject( buildConfiguration, report, cache );
+        const { originalSize, newSize, polyfills } = buildResult;
+
+        // Verify that the JS files of the build only use syntax that the browser targets support.
+        if ( buildConfiguration.compress.verifySyntax ) SyntaxVerifier.verify( buildConfiguration );
+        const compressedSizes = buildConfiguration.compress.precompress ?
+          this.precompress( buildConfiguration, cache ) : null;
+        BuildManifest.write( buildConfiguration );
+        newSizes.push( newSize );
+
+        if ( polyfills ) {
+          Util.logln( chalk`\n\nPolyfills included:${ polyfills.length ? '' : ' none' }` );
+          polyfills.forEach( ( { polyfill, reason } ) => {
+            Util.logln( chalk`  {cyan ${ polyfill.name }}: ${ reason }` );
+          } );
+        }
+
+        grunt.log.writeln( '\n\nFinished...\n' );
+        grunt.log.writeln( `Original Size: ${ originalSize } bytes` );
+        grunt.log.writeln( `Minified Size: ${ newSize } bytes` );
+        if ( compressedSizes ) {
+          grunt.log.writeln( `Gzip Size: ${ compressedSizes.gzipSize } bytes (JS, CSS and HTML files)` );
+          grunt.log.writeln( `Brotli Size: ${ compressedSizes.brotliSize } bytes (JS, CSS and HTML files)` );
+        }
+        grunt.log.writeln( `Saved ${ ( originalSize - newSize ) } bytes ` +
+          `(${ ( ( originalSize - newSize ) / originalSize * 100 ).toFixed( 2 ) }% saved)` );
+
+        // If provided, check the sizes of the build files against their budgets, failing the build if exceeded.
+        if ( buildConfiguration.budgets ) BudgetChecker.check( buildConfiguration, buildResult, cache );
+
+        // If provided, run the postBuild hooks after building, with the files of the build directory.
+        await this.runHooks( 'postBuild', buildConfiguration, this.getOutputFiles( buildConfiguration ) );
+      }
+
+      if ( watch ) {
+        await Promise.all( buildConfigurations.map( ( buildConfiguration, index ) =>
+          this.watch( buildConfiguration, newSizes[ index ], report, cache ) ) );
+      }
+    }
+
+    /**
+     * Runs the preBuild or postBuild hooks of a build configuration, in order. Each hook is either a shell command or
+     * the path (relative to the root of the repository) of a JS module that exports a (async) function, which is
+     * called with the build configuration and the output files. Aborts the build if a command exits with a non-zero
+     * code or if a function throws (or rejects).
+     * @private
+     *
+     * @param {String} name - either 'preBuild' or 'postBuild'
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {String[]} [outputFiles] - absolute paths of the output files, see getOutputFiles(). Empty for preBuild.
+     * @returns {Promise} - resolves when every hook has finished.
+     */
+    static async runHooks( name, buildConfiguration, outputFiles = [] ) {
+      for ( const hook of buildConfiguration[ name ] ) {
+
+        // Run the hook as a shell command if it isn't a path of a JS module.
+        if ( !HOOK_MODULE_REGEX.test( hook ) ) {
+          Util.logln( chalk`\nRunning ${ name } command {cyan ${ hook }}...` );
+          const { code } = shell.exec( hook );
+          Util.assert( code === 0, `${ name } command "${ hook }" failed with exit code ${ code }.` );
+          continue;
+        }
+
+        const modulePath = Util.toAbsolutePath( hook );
+        Util.assert( grunt.file.isFile( modulePath ), `${ name } module not found: ${ hook }` );
+        Util.assert( typeof require( modulePath ) === 'function', `${ name } module ${ hook } must export a `
+          + 'function.' );
+
+        Util.logln( chalk`\nRunning ${ name } module {cyan ${ hook }}...` );
+        try {
+          await require( modulePath )( buildConfiguration, outputFiles );
+        }
+        catch( error ) {
+          Util.throw( `${ name } module ${ hook } failed: ${ error instanceof Error ? error.message : error }` );
+        }
+      }
+    }
+
+    /**
+     * Gets the output files of a build, which are the files of the build directory (in sorted order).
+     * @private
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @returns {String[]} - absolute paths of the output files
+     */
+    static getOutputFiles( buildConfiguration ) {
+      const outputFiles = [];
+      if ( !grunt.file.isDir( buildConfiguration.buildDirectory ) ) return outputFiles;
+
+      Util.walkDirectory( buildConfiguration.buildDirectory, filePath => { outputFiles.push( filePath ); }, [] );
+      return outputFiles;
+    }
+
+    /**
+     * Gets the build configurations to build from the buildrc file. If the buildrc file declares a targets map, returns
+     * the build configuration of the given target or of every target (if no target was given). Otherwise, returns the
+     * build configuration of the top-level options.
+     * @public
+     *
+     * @param {String} [target] - the name of the build target to build
+     * @returns {Object[]} - see getBuildConfiguration()
+     */
+    static getBuildConfigurations( target ) {
+
+      // Check that the user has implemented a valid buildrc file.
+      Util.assert( UserConfig.BUILD_RC, 'buildrc.json (or buildrc.js) is required for building and was not found.\n'
         + 'See grunt-config/example.buildrc.json for an example.' );
+      UserConfig.validateBuildRC();
 
-      // Get the build configuration.
-      const buildConfiguration = { ...DEFUALT_BUILD_OPTIONS, ...UserConfig.BUILD_RC };
-      buildConfiguration.compress = { ...DEFUALT_BUILD_OPTIONS.compress, ...UserConfig.BUILD_RC.compress };
+      const targets = UserConfig.BUILD_RC.targets;
+      if ( !targets ) {
+        Util.assert( !target, `build target "${ target }" not found. The buildrc.json file has no targets key.` );
+        return [ this.getBuildConfiguration() ];
+      }
+      Util.assert( Object.getPrototypeOf( targets ) === Object.prototype && Object.keys( targets ).length,
+        'the buildrc.json targets key must map to a non-empty object.' );
+      Util.assert( !target || Object.prototype.hasOwnProperty.call( targets, target ),
+        `build target "${ target }" not found. Available targets: ${ Object.keys( targets ).join( ', ' ) }` );
 
-      // If provided, run the preBuild command before building.
-      if ( buildConfiguration.preBuild ) shell.exec( buildConfiguration.preBuild );
+      // Check that every target outputs to its own build directory, so that targets don't overwrite each other.
+      const buildConfigurations = Object.keys( targets ).map( name => this.getBuildConfiguration( name ) );
+      buildConfigurations.forEach( ( buildConfiguration, index ) => {
+        const duplicate = buildConfigurations.slice( index + 1 ).find( other =>
+          other.buildDirectory === buildConfiguration.buildDirectory ) || {};
 
-      // Read the source and build directory from the buildrc with defaults.
-      const sourceDirectory = Util.toAbsolutePath( buildConfiguration.sourceDirectory );
-      const buildDirectory = Util.toAbsolutePath( buildConfiguration.buildDirectory );
+        Util.assert( !duplicate.target, `build targets "${ buildConfiguration.target }" and "${ duplicate.target }"`
+          + ' have the same buildDirectory. Each target needs its own buildDirectory.' );
+      } );
+      return buildConfigurations.filter( buildConfiguration => !target || buildConfiguration.target === target );
+    }
 
-      let originalSize = 0;
-      let newSize = 0;
+    /**
+     * Gets the build configuration from the buildrc file, with the defaults (see DEFUALT_BUILD_OPTIONS) for options
+     * that weren't provided. The source and build directories are resolved to absolute paths.
+     * @private
+     *
+     * If a target is provided, the options of the target (in the targets map of the buildrc file) inherit from the
+     * top-level options. The compress, defines, requirejs, esm, css, assets, and budgets objects of the target are
+     * merged with the top-level ones, and a target can set requirejs (or esm) to null to build without bundling.
+     *
+     * @param {String} [target] - the name of the build target, if the buildrc file declares targets
+     * @returns {Object} - the build configuration, with the name of its target (or null) as the target key and the
+     *                      build info (see BuildManifest.getBuildInfo()) as the buildInfo key
+     */
+    static getBuildConfiguration( target ) {
+      // The ghPages options aren't build options, see ./Deployer.js.
+      const { targets, ...topLevelOptions } = _.omit( UserConfig.BUILD_RC, 'ghPages' );
+
+      // The assets option can be provided as just the list of patterns.
+      const toAssetsOption = assets => Array.isArray( assets ) ? { patterns: assets } : assets;
+      topLevelOptions.assets = toAssetsOption( topLevelOptions.assets );
+      let options = topLevelOptions;
+
+      if ( target ) {
+        const targetOptions = targets[ target ];
+        Util.assert( targetOptions && Object.getPrototypeOf( targetOptions ) === Object.prototype,
+          `the buildrc.json targets.${ target } key must map to a object.` );
+
+        options = {
+          ...topLevelOptions,
+          ...targetOptions,
+          compress: { ...topLevelOptions.compress, ...targetOptions.compress },
+          defines: { ...topLevelOptions.defines, ...targetOptions.defines },
+          requirejs: this.mergeTargetOption( topLevelOptions.requirejs, targetOptions.requirejs ),
+          esm: this.mergeTargetOption( topLevelOptions.esm, targetOptions.esm ),
+          css: this.mergeTargetOption( topLevelOptions.css, targetOptions.css ),
+          assets: this.mergeTargetOption( topLevelOptions.assets, toAssetsOption( targetOptions.assets ) ),
+          budgets: this.mergeTargetOption( topLevelOptions.budgets, targetOptions.budgets )
+        };
+      }
+
+      const buildConfiguration = { ...DEFUALT_BUILD_OPTIONS, ...options, target: target || null };
+      buildConfiguration.compress = { ...DEFUALT_BUILD_OPTIONS.compress, ...options.compress };
+      Util.assert( SOURCE_MAPS_VALUES.includes( buildConfiguration.compress.sourceMaps ),
+        `the buildrc.json compress.sourceMaps key must be one of: ${ SOURCE_MAPS_VALUES.join( ', ' ) }` );
+      Util.assert( typeof buildConfiguration.compress.precompress === 'boolean',
+        'the buildrc.json compress.precompress key must be a boolean.' );
+      Util.assert( typeof buildConfiguration.compress.verifySyntax === 'boolean',
+        'the buildrc.json compress.verifySyntax key must be a boolean.' );
+      const banner = buildConfiguration.compress.banner;
+      Util.assert( banner === null || typeof banner === 'string',
+        'the buildrc.json compress.banner key must be a string or null.' );
+      buildConfiguration.compress.banner = banner && this.replacePlaceholders( banner );
+      Util.assert( LICENSE_COMMENTS_VALUES.includes( buildConfiguration.compress.licenseComments ),
+        `the buildrc.json compress.licenseComments key must be one of: ${ LICENSE_COMMENTS_VALUES.join( ', ' ) }` );
+      Util.assert( buildConfiguration.compress.licenseComments !== 'extract' || options.requirejs || options.esm,
+        'the buildrc.json compress.licenseComments key can only be "extract" for requirejs and esm projects.' );
+      buildConfiguration.compress.targets = this.getBrowserTargets( buildConfiguration.compress.targets );
+      buildConfiguration.defines = this.resolveDefines( buildConfiguration.defines );
+
+      // The build info of the build (see ./BuildManifest.js), which can be injected as the BUILD_INFO constant.
+      buildConfiguration.buildInfo = BuildManifest.getBuildInfo();
+      Util.assert( typeof buildConfiguration.injectBuildInfo === 'boolean',
+        'the buildrc.json injectBuildInfo key must be a boolean.' );
+      if ( buildConfiguration.injectBuildInfo ) {
+        Util.assert( !( 'BUILD_INFO' in buildConfiguration.defines ), 'the buildrc.json defines key can\'t declare '
+          + 'BUILD_INFO if the injectBuildInfo key is true.' );
+        buildConfiguration.defines.BUILD_INFO = buildConfiguration.buildInfo;
+      }
+
+      // The preBuild and postBuild hooks can be provided as a single hook or a array of hooks. See runHooks().
+      [ 'preBuild', 'postBuild' ].forEach( name => {
+        buildConfiguration[ name ] = [].concat( buildConfiguration[ name ] || [] );
+        Util.assert( buildConfiguration[ name ].every( hook => typeof hook === 'string' && hook.trim() ),
+          `the buildrc.json ${ name } key must be a command, a path of a JS module, or a array of them.` );
+      } );
+
+      // Read the source and build directory from the buildrc with defaults.
+      buildConfiguration.sourceDirectory = Util.toAbsolutePath( buildConfiguration.sourceDirectory );
+      buildConfiguration.buildDirectory = Util.toAbsolutePath( buildConfiguration.buildDirectory );
 
       // If the project is a requirejs project.
       if ( buildConfiguration.requirejs ) {
         Util.assert( Object.getPrototypeOf( buildConfiguration.requirejs ) === Object.prototype,
           'the buildrc.json requirejs key must map to a object.' );
-        buildConfiguration.requirejs = { ...DEFAULT_REQUIRE_JS_OPTIONS, ...UserConfig.BUILD_RC.requirejs };
-        buildConfiguration.requirejs.configFile = path.join( sourceDirectory, buildConfiguration.requirejs.configFile );
-
-        let optimized = await this.optimizeAMD( buildConfiguration.requirejs );
-        originalSize = optimized.originalSize;
-
-        // Optimize the requirejs project.
-        let optimzedRequireJs = `(function() {
-          ${ Polyfill.string.includes }
-          ${ Polyfill.array.includes }
-          ${ Polyfill.array.find }
-          ${ optimized.code }
-        }());`;
-
-        // Babel-transpile
-        if ( buildConfiguration.compress.babelTranspile ) {
-          optimzedRequireJs = this.transpile( optimzedRequireJs, buildConfiguration.compress.babelOverrideOptions );
+        buildConfiguration.requirejs = { ...DEFAULT_REQUIRE_JS_OPTIONS, ...options.requirejs };
+        Util.assert( BUILD_HTML_SCRIPT_VALUES.includes( buildConfiguration.requirejs.buildHtmlScript ),
+          `the buildrc.json requirejs.buildHtmlScript key must be one of: ${ BUILD_HTML_SCRIPT_VALUES.join( ', ' ) }` );
+        buildConfiguration.requirejs.configFile = path.join( buildConfiguration.sourceDirectory,
+          buildConfiguration.requirejs.configFile );
+
+        // If the project declares multiple bundles, each with its own entry, output file, and page.
+        if ( buildConfiguration.requirejs.bundles ) {
+          const bundles = buildConfiguration.requirejs.bundles;
+          Util.assert( Array.isArray( bundles ) && bundles.length && bundles.every( bundle => bundle
+            && typeof bundle.mainEntry === 'string' ), 'the buildrc.json requirejs.bundles key must be a non-empty '
+            + 'array of objects with a mainEntry.' );
+
+          buildConfiguration.requirejs.bundles = _.flatMap( bundles, bundle => this.expandBundlePages( bundle,
+            buildConfiguration ) ).map( bundle => ( {
+            outputFile: `${ path.posix.basename( bundle.mainEntry ) }-${ Generator.getValue( 'VERSION' ) }.min.js`,
+            html: null,
+            ...bundle
+          } ) );
+          Util.assert( !buildConfiguration.requirejs.generateBuildHtml
+            || buildConfiguration.requirejs.bundles.every( bundle => bundle.html ),
+            'every bundle of the buildrc.json requirejs.bundles key needs a html page, since '
+            + 'requirejs.generateBuildHtml is true.' );
+
+          const outputFiles = [ buildConfiguration.requirejs.commonOutputFile,
+            ...buildConfiguration.requirejs.bundles.map( bundle => bundle.outputFile ) ];
+          Util.assert( _.uniq( outputFiles ).length === outputFiles.length,
+            'the bundles of the buildrc.json requirejs.bundles key need different output files (use {{PAGE}} in the '
+            + 'outputFile of bundles with a html pattern).' );
+
+          const pages = buildConfiguration.requirejs.bundles.map( bundle => bundle.html ).filter( html => html );
+          Util.assert( _.uniq( pages ).length === pages.length,
+            'the bundles of the buildrc.json requirejs.bundles key need different html pages.' );
+        }
+      }
+
+      // If the project is a native ES module project.
+      if ( buildConfiguration.esm ) {
+        Util.assert( Object.getPrototypeOf( buildConfiguration.esm ) === Object.prototype,
+          'the buildrc.json esm key must map to a object.' );
+        Util.assert( !buildConfiguration.requirejs, 'the buildrc.json requirejs and esm keys can\'t both be provided. '
+          + 'Set one of them to null.' );
+        buildConfiguration.esm = { ...DEFAULT_ESM_OPTIONS, ...options.esm };
+        Util.assert( BUILD_HTML_SCRIPT_VALUES.includes( buildConfiguration.esm.buildHtmlScript ),
+          `the buildrc.json esm.buildHtmlScript key must be one of: ${ BUILD_HTML_SCRIPT_VALUES.join( ', ' ) }` );
+        buildConfiguration.esm.entry = path.join( buildConfiguration.sourceDirectory, buildConfiguration.esm.entry );
+      }
+      const bundleOptions = buildConfiguration.requirejs || buildConfiguration.esm;
+
+      // The security attributes of the generated pages. See generateBuildHtml().
+      if ( bundleOptions ) {
+        const key = buildConfiguration.requirejs ? 'requirejs' : 'esm';
+        Util.assert( typeof bundleOptions.subresourceIntegrity === 'boolean',
+          `the buildrc.json ${ key }.subresourceIntegrity key must be a boolean.` );
+        Util.assert( CONTENT_SECURITY_POLICY_VALUES.includes( bundleOptions.contentSecurityPolicy ),
+          `the buildrc.json ${ key }.contentSecurityPolicy key must be one of: `
+          + CONTENT_SECURITY_POLICY_VALUES.join( ', ' ) );
+      }
+
+      // If the stylesheets of the index.html file should be bundled.
+      if ( buildConfiguration.css ) {
+        Util.assert( Object.getPrototypeOf( buildConfiguration.css ) === Object.prototype,
+          'the buildrc.json css key must map to a object.' );
+        Util.assert( bundleOptions && bundleOptions.generateBuildHtml,
+          'the buildrc.json css key requires requirejs.generateBuildHtml (or esm.generateBuildHtml), since stylesheets '
+          + 'are bundled into the generated index.html file.' );
+        buildConfiguration.css = { ...DEFAULT_CSS_OPTIONS, ...options.css };
+      }
+
+      // If static assets should be copied.
+      if ( buildConfiguration.assets ) {
+        Util.assert( Object.getPrototypeOf( buildConfiguration.assets ) === Object.prototype,
+          'the buildrc.json assets key must map to a object or a array of patterns.' );
+        Util.assert( bundleOptions, 'the buildrc.json assets key is only supported for requirejs and esm projects, '
+          + 'since every file of the source directory is copied for other projects.' );
+        buildConfiguration.assets = { ...DEFAULT_ASSETS_OPTIONS, ...options.assets };
+        Util.assert( Array.isArray( buildConfiguration.assets.patterns )
+          && buildConfiguration.assets.patterns.every( pattern => typeof pattern === 'string' ),
+          'the buildrc.json assets.patterns key must be a array of glob patterns.' );
+      }
+
+      // If the sizes of the build files have budgets.
+      if ( buildConfiguration.budgets ) BudgetChecker.validateBudgets( buildConfiguration );
+      return buildConfiguration;
+    }
+
+    /**
+     * Merges an object option (like requirejs) of a build target with the top-level option. The target can set the
+     * option to null to disable it. See getBuildConfiguration().
+     * @private
+     *
+     * @param {Object|null} [topLevelOption]
+     * @param {Object|null} [targetOption]
+     * @returns {Object|null} - the merged option
+     */
+    static mergeTargetOption( topLevelOption, targetOption ) {
+      if ( targetOption === null || !( topLevelOption || targetOption ) ) return null;
+      return { ...topLevelOption, ...targetOption };
+    }
+
+    /**
+     * Expands a bundle of the requirejs.bundles option of the buildrc file whose html is a glob pattern (like
+     * "**\/*.html") into a bundle for each page of the source directory that matches the pattern. The {{PAGE}}
+     * placeholder in the mainEntry and outputFile of the bundle is replaced with the path of each page without its
+     * extension (like "docs/index"), so that each page is paired with its own entry module. The output file of each
+     * page defaults to the path of its entry module, so that pages in different directories don't share output files.
+     * Bundles whose html isn't a pattern are returned as is.
+     * @private
+     *
+     * @param {Object} bundle - a bundle of the requirejs.bundles option
+     * @param {Object} buildConfiguration - see getBuildConfiguration(), with the absolute source and build directory
+     * @returns {Object[]} - the bundles of the matched pages, in path order
+     */
+    static expandBundlePages( bundle, buildConfiguration ) {
+      if ( typeof bundle.html !== 'string' || !GLOB_REGEX.test( bundle.html ) ) return [ bundle ];
+      const { sourceDirectory, buildDirectory } = buildConfiguration;
+
+      const pages = [];
+      Util.walkDirectory( sourceDirectory, ( filePath, relativePath ) => {
+        if ( grunt.file.isMatch( bundle.html, relativePath ) ) pages.push( relativePath );
+      }, this.getIgnorePattern( sourceDirectory, buildDirectory ) );
+      Util.assert( pages.length, `no pages of the source directory match the html pattern "${ bundle.html }" of the `
+        + 'buildrc.json requirejs.bundles key.' );
+
+      return pages.map( page => {
+        const replacePage = value => Util.replaceAll( value, PAGE_PLACEHOLDER, page.replace( /\.[^./]+$/, '' ) );
+        return {
+          ...bundle,
+          mainEntry: replacePage( bundle.mainEntry ),
+          outputFile: replacePage( bundle.outputFile
+            || `${ bundle.mainEntry }-${ Generator.getValue( 'VERSION' ) }.min.js` ),
+          html: page
+        };
+      } );
+    }
+
+    /**
+     * Resolves the values of the defines option of the buildrc file, which map the names of compile-time constants to
+     * JSON values. Generator placeholder strings (like '{{VERSION}}') in string values are replaced with their values.
+     * See substituteDefines().
+     * @private
+     *
+     * @param {Object} defines - the defines option of the buildrc file
+     * @returns {Object} - the resolved defines
+     */
+    static resolveDefines( defines ) {
+      Util.assert( defines && Object.getPrototypeOf( defines ) === Object.prototype,
+        'the buildrc.json defines key must map to a object.' );
+
+      return _.mapValues( defines, ( value, name ) => {
+        Util.assert( /^[A-Za-z_$][\w$]*$/.test( name ), `the buildrc.json defines key "${ name }" isn't a identifier.` );
+        return typeof value === 'string' ? this.replacePlaceholders( value ) : value;
+      } );
+    }
+
+    /**
+     * Replaces the Generator placeholder strings (like '{{VERSION}}') of a string with their values. See Generator.js.
+     * @private
+     *
+     * @param {string} string
+     * @returns {string}
+     */
+    static replacePlaceholders( string ) {
+      return Util.getInnerDelimeterStrings( string, '{{', '}}' ).reduce( ( resolved, replacementString ) =>
+        Util.replaceAll( resolved, `{{${ replacementString }}}`, Generator.getValue( replacementString ) ), string );
+    }
+
+    /**
+     * Gets the browserslist queries of the browsers to target when transpiling and minifying. Uses the targets
+     * compress option of the buildrc file if provided, then the browserslist key of package.json or a .browserslistrc
+     * file (see https://github.com/browserslist/browserslist#queries), and DEFAULT_BROWSER_TARGETS otherwise.
+     * @private
+     *
+     * @param {String|String[]|null} targets - the targets compress option of the buildrc file
+     * @returns {String[]} - the browserslist queries
+     */
+    static getBrowserTargets( targets ) {
+      if ( !targets ) targets = browserslist.loadConfig( { path: Util.REPO_PATH } ) || DEFAULT_BROWSER_TARGETS;
+      if ( typeof targets === 'string' ) targets = [ targets ];
+
+      Util.assert( Array.isArray( targets ) && targets.every( query => typeof query === 'string' ),
+        'the buildrc.json compress.targets key must be a browserslist query or an array of queries.' );
+
+      // Check that the queries are valid, since Babel would otherwise fail with a less helpful message.
+      try { browserslist( targets ); }
+      catch( error ) { Util.throw( `invalid browser targets "${ targets.join( ', ' ) }": ${ error.message }` ); }
+      return targets;
+    }
+
+    /**
+     * Convenience method to check if any of the browsers of the given browserslist queries are Safari 10 (desktop or
+     * iOS), which need Terser workarounds. See the safari10 option of MINIFY_DEFAULTS.
+     * @private
+     *
+     * @param {String[]} targets - browserslist queries, see getBrowserTargets()
+     * @returns {boolean}
+     */
+    static targetsSafari10( targets ) {
+      return browserslist( targets ).some( browser => /^(safari|ios_saf) 10([.-]|$)/.test( browser ) );
+    }
+
+    /**
+     * Builds the project (without running the preBuild and postBuild hooks), based on the build configuration.
+     * @private
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {boolean} [report] - indicates if a per-module bundle size report should be generated.
+     * @param {boolean} [cache] - indicates if the disk cache of transpiled requirejs modules should be used.
+     * @returns {Promise.<Object>} - { originalSize: {number}, newSize: {number} }, in bytes. For requirejs and esm
+     *                               projects, also includes the polyfills that were injected (see
+     *                               Polyfill.getNeededPolyfills()), the assetManifest (see copyAssets()), and the
+     *                               bundleFiles and htmlFiles that were written (relative to the build directory).
+     */
+    static async buildProject( buildConfiguration, report = false, cache = true ) {
+      const sourceDirectory = buildConfiguration.sourceDirectory;
+      const buildDirectory = buildConfiguration.buildDirectory;
+      const bundleOptions = buildConfiguration.requirejs || buildConfiguration.esm;
+
+      // If the project isn't a requirejs or esm project, compile all of the .js files in the source directory and copy
+      // them (along with all other files) to the build directory, with the same relative subdirectory paths.
+      if ( !bundleOptions ) {
+        if ( report ) grunt.log.warn( 'Bundle size reports are only generated for requirejs and esm projects.' );
+        return this.buildFiles( sourceDirectory, buildDirectory, buildConfiguration.compress,
+          buildConfiguration.defines );
+      }
+
+      // Optimize the requirejs project (into multiple bundles if it declares them), or bundle the esm project.
+      const sourceMaps = buildConfiguration.compress.sourceMaps;
+      const bundles = buildConfiguration.requirejs ?
+        await this.optimizeAMDBundles( buildConfiguration.requirejs, !!sourceMaps, cache ) : [ {
+          ...Bundler.bundle( buildConfiguration.esm.entry, !!sourceMaps ),
+          mainEntry: Util.toPosixPath( path.relative( Util.REPO_PATH, buildConfiguration.esm.entry ) ),
+          outputFile: buildConfiguration.esm.outputFile,
+          html: 'index.html'
+        } ];
+      let originalSize = _.sumBy( bundles, 'originalSize' );
+
+      // The polyfills that the bundles need for the browser targets are injected into the first bundle, since it is
+      // loaded first on every page. They are detected in the transpiled code, since the code that Babel generates uses
+      // APIs that the source code may not (like Object.assign for object spread).
+      bundles.forEach( bundle => { bundle.transpiled = this.transpileBundle( bundle, buildConfiguration ); } );
+      const polyfills = Polyfill.getNeededPolyfills( bundles.map( bundle => bundle.transpiled.code ).join( '\n' ),
+        buildConfiguration.compress.targets );
+
+      // Compile each bundle and write it into its output file.
+      bundles.forEach( ( bundle, index ) => {
+        bundle.compiled = this.compileBundle( bundle, index === 0 ? polyfills : [], buildConfiguration );
+        if ( bundles.length > 1 ) this.assertNoGlobalDeclarations( bundle );
+        this.writeCompiledFile( path.join( buildDirectory, bundle.outputFile ), bundle.compiled, sourceMaps );
+      } );
+      const getBundleSize = bundle => fs.statSync( path.join( buildDirectory, bundle.outputFile ) ).size;
+      this.writeLicenses( buildConfiguration, bundles );
+
+      // If provided, copy the static assets (which may be renamed with a content hash).
+      const assetManifest = buildConfiguration.assets ? this.copyAssets( buildConfiguration ) : {};
+
+      // Generate the page of each bundle that has one. Bundles without a page (the common bundle) are loaded first.
+      const htmlFiles = [];
+      const stylesheetPaths = [];
+      let newSize = 0;
+      if ( bundleOptions.generateBuildHtml ) {
+        const sharedBundles = bundles.filter( bundle => !bundle.html );
+
+        bundles.filter( bundle => bundle.html ).forEach( bundle => {
+          const page = this.generateBuildHtml( buildConfiguration, bundle.html, [ ...sharedBundles, bundle ],
+            assetManifest, stylesheetPaths );
+          originalSize += page.originalSize;
+          newSize += page.newSize;
+          htmlFiles.push( Util.toPosixPath( bundle.html ) );
+        } );
+      }
+
+      // The bundles aren't a part of the generated pages if they are referenced.
+      if ( !bundleOptions.generateBuildHtml || bundleOptions.buildHtmlScript === 'src' ) {
+        newSize += _.sumBy( bundles, getBundleSize );
+      }
+
+      if ( grunt.file.exists( path.join( Util.REPO_PATH, 'CNAME' ) ) ) {
+        grunt.file.copy( path.join( Util.REPO_PATH, 'CNAME' ), path.join( buildDirectory, 'CNAME' ) );
+      }
+
+      if ( report && bundles.length > 1 ) {
+        grunt.log.warn( 'Bundle size reports are only generated for projects with a single bundle.' );
+      }
+      else if ( report ) {
+        this.generateReport( buildConfiguration, bundles[ 0 ], getBundleSize( bundles[ 0 ] ) );
+      }
+      return {
+        originalSize,
+        newSize,
+        polyfills,
+        assetManifest,
+        bundleFiles: bundles.map( bundle => Util.toPosixPath( bundle.outputFile ) ),
+        htmlFiles
+      };
+    }
+
+    /**
+     * Substitutes the defines into a bundle and transpiles it (see compile()), without minifying it. See
+     * compileBundle().
+     * @private
+     *
+     * @param {Object} bundle - { code: {string}, map: {Object|null} }, see optimizeAMDBundles() and Bundler.bundle()
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @returns {Object} - { code: {string}, map: {Object|null} }
+     */
+    static transpileBundle( bundle, buildConfiguration ) {
+      return this.compile( bundle.code, { ...buildConfiguration.compress, minify: false }, {
+        inputSourceMap: bundle.map,
+        defines: buildConfiguration.defines
+      } );
+    }
+
+    /**
+     * Wraps a transpiled bundle (see transpileBundle()) in a function with the given polyfills and minifies it (see
+     * compile()). The bundle is wrapped after it is transpiled, so that the helpers that Babel injects at the top of
+     * the code are declared inside the function. Otherwise, the helpers would be mangled into short globals that the
+     * helpers of the other bundles of a page (see optimizeAMDBundles()) overwrite.
+     * @private
+     *
+     * @param {Object} bundle - the bundle, with its transpiled code and source map
+     * @param {Object[]} polyfills - the polyfills to inject, see Polyfill.getNeededPolyfills()
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @returns {Object} - { code: {string}, map: {Object|null} }
+     */
+    static compileBundle( bundle, polyfills, buildConfiguration ) {
+      const wrapperStart = [ '(function() {', ...polyfills.map( ( { polyfill } ) => polyfill.code ), '' ].join( '\n' );
+
+      // The defines were already substituted, but are still passed to Terser to remove the dead code.
+      return this.compile( bundle.transpiled.code, { ...buildConfiguration.compress, babelTranspile: false }, {
+        inputSourceMap: bundle.transpiled.map,
+        minifyOptions: { defines: buildConfiguration.defines },
+        wrapper: { start: wrapperStart, end: '\n}());' }
+      } );
+    }
+
+    /**
+     * Writes the license comments that were extracted from the compiled bundles (see minify()) into LICENSES_FILE next
+     * to the bundles, one file for each directory of the output files. Directories without license comments don't get a
+     * file (a file of a previous build is removed), which includes every directory if the licenseComments option isn't
+     * 'extract', since only extracted comments are returned by minify().
+     * @private
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {Object[]} bundles - the compiled bundles, each with its outputFile and compiled licenses
+     */
+    static writeLicenses( buildConfiguration, bundles ) {
+      _.forEach( _.groupBy( bundles, bundle => path.dirname( bundle.outputFile ) ), ( directoryBundles, directory ) => {
+        const licenses = _.uniq( _.flatMap( directoryBundles, bundle => bundle.compiled.licenses ) );
+        const filePath = path.join( buildConfiguration.buildDirectory, directory, LICENSES_FILE );
+
+        if ( licenses.length ) grunt.file.write( filePath, `${ licenses.join( '\n\n' ) }\n` );
+        else if ( grunt.file.exists( filePath ) ) grunt.file.delete( filePath, { force: true } );
+      } );
+    }
+
+    /**
+     * Checks that a compiled bundle of a project with multiple bundles doesn't declare top-level names, since the
+     * bundles of a page share the global scope. A top-level name (like a mangled Babel helper) of one bundle would be
+     * overwritten by the same name of the next bundle of the page. See compileBundle().
+     * @private
+     *
+     * @param {Object} bundle - the compiled bundle, with its outputFile and compiled code
+     */
+    static assertNoGlobalDeclarations( bundle ) {
+      const ast = babel.parseSync( bundle.compiled.code, { babelrc: false, configFile: false, sourceType: 'script' } );
+
+      // The names that each top-level declaration declares, but not its inner names (like parameters).
+      const names = _.flatMap( ast.program.body.filter( statement => babel.types.isDeclaration( statement ) ),
+        statement => Object.keys( babel.types.getBindingIdentifiers( statement, false, true ) ) );
+      Util.assert( !names.length, `the bundle ${ bundle.outputFile } declares the global names `
+        + `${ names.join( ', ' ) }, which the other bundles of its pages could overwrite.` );
+    }
+
+    /**
+     * Generates a page in the build directory from the page at the same relative path in the source directory, where
+     * the requirejs script tags (or the module script tags of esm projects) are replaced with the scripts of the given
+     * bundles, in order. The scripts either reference the output files of the bundles or inline the bundles (see the
+     * buildHtmlScript option). The rest of the page is kept.
+     * @private
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {String} htmlFile - the path of the page, relative to the source and build directory
+     * @param {Object[]} bundles - the compiled bundles to load in the page, each with its outputFile and compiled code
+     * @param {Object} [assetManifest] - references to assets are rewritten to their hashed paths. See copyAssets().
+     * @param {String[]} [stylesheetPaths] - the stylesheet bundles that were written for the other pages of the build.
+     *                                       See buildStylesheet().
+     * @returns {Object} - { originalSize: {number}, newSize: {number} }, the sizes (in bytes) of the source page and
+     *                     its stylesheets and of the generated page and its stylesheet bundle
+     */
+    static generateBuildHtml( buildConfiguration, htmlFile, bundles, assetManifest = {}, stylesheetPaths = [] ) {
+      const { sourceDirectory, buildDirectory, compress } = buildConfiguration;
+      const bundleOptions = buildConfiguration.requirejs || buildConfiguration.esm;
+      const sourceFile = path.join( sourceDirectory, htmlFile );
+      const buildFile = path.join( buildDirectory, htmlFile );
+      const pageDirectory = path.posix.dirname( Util.toPosixPath( htmlFile ) );
+      Util.assert( grunt.file.isFile( sourceFile ), `no ${ htmlFile } file found` );
+
+      const html = grunt.file.read( sourceFile );
+      let originalSize = fs.statSync( sourceFile ).size;
+      let head = html.slice( html.indexOf( '<head>' ), html.indexOf( '</head>' ) + '</head>'.length );
+      let body = html.slice( html.indexOf( '<body' ), html.lastIndexOf( '</body>' ) + '</body>'.length ).trim();
+      let stylesheetSize = 0;
+
+      // If provided, bundle the local stylesheets of the page into one minified stylesheet.
+      if ( buildConfiguration.css ) {
+        const stylesheet = this.buildStylesheet( buildConfiguration, htmlFile, head, body, assetManifest,
+          stylesheetPaths );
+        ( { head, body } = stylesheet );
+        originalSize += stylesheet.originalSize;
+        stylesheetSize = stylesheet.newSize;
+      }
+      head = this.rewriteAssetReferences( head, pageDirectory, assetManifest );
+      body = this.rewriteAssetReferences( body, pageDirectory, assetManifest );
+
+      Generator.registerRunTimeReplacementValue( 'BUILD_HEAD', head );
+
+      // Either reference the output file or inline each bundle, relative to the page. The inlined scripts reference
+      // their source maps relative to the page instead of the output file. Referenced scripts can be verified with
+      // their Subresource Integrity hash (see getIntegrityAttributes()).
+      const scripts = bundles.map( bundle => {
+        const url = path.posix.relative( pageDirectory, Util.toPosixPath( bundle.outputFile ) );
+        if ( bundleOptions.buildHtmlScript === 'src' ) {
+          const integrity = bundleOptions.subresourceIntegrity ?
+            this.getIntegrityAttributes( fs.readFileSync( path.join( buildDirectory, bundle.outputFile ) ) ) : '';
+          return `<script src="${ url }"${ integrity }></script>`;
+        }
+
+        const inlinedBundle = bundle.compiled.code + ( bundle.compiled.map ? this.getSourceMappingURLComment(
+          bundle.compiled.map, compress.sourceMaps, `${ url }.map` ) : '' );
+        return `<script>\n${ inlinedBundle }\n</script>`;
+      } );
+
+      Generator.registerRunTimeReplacementValue( 'BUILD_BODY', this.replaceBundleScripts( body, scripts.join( '\n' ),
+        !!buildConfiguration.requirejs, htmlFile ) );
+
+      Generator.generateFile( 'templates/index-build-template.html', path.relative( Util.REPO_PATH, buildFile ) );
+
+      // If provided, allow the inline scripts and styles of the generated page with a Content-Security-Policy, either
+      // in a meta tag of the page or in a csp.txt file next to the page (<name>.csp.txt for pages that aren't a
+      // index.html file). The policy is computed from the generated page, after the template is filled in.
+      if ( bundleOptions.contentSecurityPolicy ) {
+        const page = grunt.file.read( buildFile );
+        const policy = this.getContentSecurityPolicy( page );
+
+        if ( bundleOptions.contentSecurityPolicy === 'meta' ) {
+          grunt.file.write( buildFile, page.replace( /<head\b[^>]*>/i, headTag =>
+            `${ headTag }\n<meta http-equiv="Content-Security-Policy" content="${ policy }">` ) );
+        }
+        else {
+          const name = path.basename( htmlFile, path.extname( htmlFile ) );
+          grunt.file.write( path.join( path.dirname( buildFile ), name === 'index' ? 'csp.txt' : `${ name }.csp.txt` ),
+            policy );
+        }
+      }
+      return { originalSize, newSize: fs.statSync( buildFile ).size + stylesheetSize };
+    }
+
+    /**
+     * Gets the Subresource Integrity attributes of a script or stylesheet tag that references a file, so that browsers
+     * refuse to run the file if it doesn't have the given contents (for instance, if a CDN tampered with it). See
+     * https://developer.mozilla.org/en-US/docs/Web/Security/Subresource_Integrity.
+     * @private
+     *
+     * @param {string|Buffer} contents - the contents of the referenced file
+     * @returns {string} - the attributes, with a leading space
+     */
+    static getIntegrityAttributes( contents ) {
+      const hash = crypto.createHash( 'sha384' ).update( contents ).digest( 'base64' );
+      return ` integrity="sha384-${ hash }" crossorigin="anonymous"`;
+    }
+
+    /**
+     * Gets a Content-Security-Policy that allows the scripts and styles of a generated page, so that pages with inline
+     * bundles work with a strict policy. See https://developer.mozilla.org/en-US/docs/Web/HTTP/CSP.
+     * @private
+     *
+     * Scripts are allowed from the same origin, the origins of the remote scripts of the page, and the hashes of the
+     * inline scripts of the page. If the page has inline styles, styles are allowed the same way. Inline event handlers
+     * and style attributes aren't allowed.
+     *
+     * @param {string} html - the generated page
+     * @returns {string} - the policy, for instance "script-src 'self' 'sha256-...'"
+     */
+    static getContentSecurityPolicy( html ) {
+      const sources = { script: new Set( [ '\'self\'' ] ), style: new Set( [ '\'self\'' ] ) };
+      let hasInlineStyles = false;
+
+      // Remote urls are allowed by their origin (or host, for protocol-relative urls).
+      const addRemoteSource = ( type, url ) => {
+        if ( !url || !/^(https?:)?\/\//i.test( url ) ) return;
+        const { origin, host } = new URL( url, 'https://localhost' );
+        sources[ type ].add( url.startsWith( '//' ) ? host : origin );
+      };
+
+      for ( const [ , tagName, attributes, contents ] of html.matchAll( SCRIPT_OR_STYLE_REGEX ) ) {
+        const type = tagName.toLowerCase();
+        const src = type === 'script' ? ( attributes.match( SRC_REGEX ) || [] )[ 2 ] : null;
+
+        if ( src ) {
+          addRemoteSource( type, src );
+          continue;
+        }
+        if ( type === 'style' ) hasInlineStyles = true;
+        sources[ type ].add( `'sha256-${ crypto.createHash( 'sha256' ).update( contents ).digest( 'base64' ) }'` );
+      }
+      ( html.match( STYLESHEET_LINK_REGEX ) || [] ).forEach( link => {
+        addRemoteSource( 'style', ( link.match( HREF_REGEX ) || [] )[ 2 ] );
+      } );
+
+      return [ 'script', ...( hasInlineStyles ? [ 'style' ] : [] ) ]
+        .map( type => `${ type }-src ${ [ ...sources[ type ] ].join( ' ' ) }` ).join( '; ' );
+    }
+
+    /**
+     * Bundles the local stylesheets that are linked (in order) from the head and body of a page, like index.html.
+     * @imports are followed and inlined, and urls are rebased. The bundle is minified with clean-css (see
+     * https://github.com/jakubpawlowski/clean-css) and either inlined in a style tag or written to a hashed file (see
+     * getHashedPath()) in the build directory. The first local stylesheet link tag is replaced with the bundle, and the
+     * rest are removed. Stylesheets that aren't local (like CDN stylesheets) are kept.
+     * @private
+     *
+     * Pages that link different stylesheets get different hashed files, so the stylesheet bundles of the other pages of
+     * the build aren't removed as stale hashed files (see writeHashedFile()).
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {String} htmlFile - the path of the page, relative to the source and build directory
+     * @param {String} head - the head of the page, including the head tags
+     * @param {String} body - the body of the page, including the body tags
+     * @param {Object} [assetManifest] - references to assets are rewritten to their hashed paths. See copyAssets().
+     * @param {String[]} [stylesheetPaths] - absolute paths of the stylesheet bundles that were written for the other
+     *                                       pages of the build. The path of the written bundle is added.
+     * @returns {Object} - { head: {String}, body: {String}, originalSize: {number}, newSize: {number} }, with the
+     *                     sizes (in bytes) of the stylesheets and the written stylesheet (0 if inlined)
+     */
+    static buildStylesheet( buildConfiguration, htmlFile, head, body, assetManifest = {}, stylesheetPaths = [] ) {
+      const css = buildConfiguration.css;
+      const pageDirectory = path.dirname( htmlFile );
+      const getLocalHref = link => {
+        const href = ( link.match( HREF_REGEX ) || [] )[ 2 ];
+        return href && !REMOTE_URL_REGEX.test( href ) ? href : null;
+      };
+
+      // Read the local stylesheets, in the order they are linked. Hrefs are relative to the page, or to the root of the
+      // source directory if they start with a slash.
+      const stylesheets = {};
+      [ head, body ].forEach( html => {
+        ( html.match( STYLESHEET_LINK_REGEX ) || [] ).map( getLocalHref ).filter( href => href ).forEach( href => {
+          const hrefPath = href.split( /[?#]/ )[ 0 ];
+          const directory = hrefPath.startsWith( '/' ) ? '' : pageDirectory;
+          const filePath = path.join( buildConfiguration.sourceDirectory, directory, hrefPath );
+          Util.assert( grunt.file.isFile( filePath ), `stylesheet linked from ${ htmlFile } not found: ${ href }` );
+          stylesheets[ filePath ] = { styles: grunt.file.read( filePath ) };
+        } );
+      } );
+      if ( !Object.keys( stylesheets ).length ) {
+        grunt.log.warn( `No local stylesheets found in ${ htmlFile }.` );
+        return { head, body, originalSize: 0, newSize: 0 };
+      }
+
+      // Minify the stylesheets, rebasing urls to where the bundle is loaded from.
+      const outputDirectory = css.inline ? pageDirectory : path.dirname( css.outputFile );
+      const rebaseTo = path.join( buildConfiguration.sourceDirectory, outputDirectory );
+      const minified = new CleanCSS( { inline: [ 'local' ], rebaseTo, ...css.minifyOverrideOptions } )
+        .minify( stylesheets );
+
+      if ( minified.errors.length ) Util.throw( `Failed to minify stylesheets:\n${ minified.errors.join( '\n' ) }` );
+      minified.warnings.forEach( warning => { grunt.log.warn( warning ); } );
+      const styles = this.rewriteAssetReferences( minified.styles, Util.toPosixPath( outputDirectory ), assetManifest );
+
+      // Either inline the bundle or write it to a hashed file.
+      let tag;
+      if ( css.inline ) {
+        tag = `<style>${ styles }</style>`;
+      }
+      else {
+        const outputFile = this.getHashedPath( css.outputFile, styles );
+        const bundleOptions = buildConfiguration.requirejs || buildConfiguration.esm;
+        const integrity = bundleOptions.subresourceIntegrity ? this.getIntegrityAttributes( styles ) : '';
+        stylesheetPaths.push( this.writeHashedFile( path.join( buildConfiguration.buildDirectory, css.outputFile ),
+          styles, stylesheetPaths ) );
+        const href = path.posix.relative( Util.toPosixPath( pageDirectory ), Util.toPosixPath( outputFile ) );
+        tag = `<link rel="stylesheet" href="${ href }"${ integrity }>`;
+      }
+
+      // Replace the first local stylesheet link tag with the bundle, and remove the rest.
+      let replaced = false;
+      const replaceLinks = html => html.replace( STYLESHEET_LINK_REGEX, link => {
+        if ( !getLocalHref( link ) ) return link;
+        if ( replaced ) return '';
+        replaced = true;
+        return tag;
+      } );
+
+      return {
+        head: replaceLinks( head ),
+        body: replaceLinks( body ),
+        originalSize: _.sumBy( minified.inlinedStylesheets, filePath => fs.statSync( filePath ).size ),
+        newSize: css.inline ? 0 : Buffer.byteLength( styles )
+      };
+    }
+
+    /**
+     * Copies the files of the source directory that match the patterns of the assets option (like images, fonts, and
+     * favicons) to the build directory, with the same relative subdirectory paths. Files that fall into the ignore
+     * pattern (see getIgnorePattern()) are skipped.
+     * @private
+     *
+     * If the hash option is true, each asset is renamed with a content hash (see getHashedPath()). Stylesheet assets
+     * are hashed last, after their references to other assets are rewritten. Writes the asset manifest (see
+     * ASSET_MANIFEST_FILE) to the build directory.
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @returns {Object} - the asset manifest, which maps the path of each asset to the path that it was copied to, both
+     *                     relative to the source and build directory respectively (posix style)
+     */
+    static copyAssets( buildConfiguration ) {
+      const { sourceDirectory, buildDirectory, assets } = buildConfiguration;
+      const assetPaths = [];
+
+      Util.walkDirectory( sourceDirectory, ( filePath, relativePath ) => {
+        if ( grunt.file.isMatch( { dot: true }, assets.patterns, relativePath ) ) assetPaths.push( relativePath );
+      }, this.getIgnorePattern( sourceDirectory, buildDirectory ) );
+
+      const assetManifest = {};
+      _.sortBy( assetPaths, relativePath => Util.getExtension( relativePath ) === 'css' ).forEach( relativePath => {
+        const filePath = path.join( sourceDirectory, relativePath );
+        const outputPath = path.join( buildDirectory, relativePath );
+
+        if ( !assets.hash ) {
+          grunt.file.copy( filePath, outputPath );
+          assetManifest[ relativePath ] = relativePath;
+        }
+        else {
+          const directory = path.posix.dirname( relativePath );
+          const contents = Util.getExtension( filePath ) !== 'css' ? fs.readFileSync( filePath ) :
+            this.rewriteAssetReferences( grunt.file.read( filePath ), directory, assetManifest );
+          const hashedPath = this.writeHashedFile( outputPath, contents );
+          assetManifest[ relativePath ] = Util.toPosixPath( path.relative( buildDirectory, hashedPath ) );
         }
+      } );
+
+      grunt.file.write( path.join( buildDirectory, ASSET_MANIFEST_FILE ), JSON.stringify( assetManifest, null, 2 ) );
+      grunt.verbose.writeln( `Verbose: copied ${ Util.pluralize( 'asset', assetPaths.length ) }` );
+      return assetManifest;
+    }
 
-        // Minify the optimized requirejs.
-        optimzedRequireJs = this.minify( optimzedRequireJs, buildConfiguration.compress.minifyOverrideOptions );
+    /**
+     * Rewrites the references to assets (in HTML src and href attributes and CSS urls) to the paths that the assets
+     * were copied to, for when assets are renamed with a content hash. References are resolved relative to the
+     * directory of the file that contains them, or to the root of the build directory if they start with a slash.
+     * References that aren't assets are kept.
+     * @private
+     *
+     * @param {String} contents - the HTML or CSS
+     * @param {String} directory - the directory of the file that contains the references, relative to the build
+     *                             directory (posix style)
+     * @param {Object} assetManifest - see copyAssets()
+     * @returns {String} - the contents with the references rewritten
+     */
+    static rewriteAssetReferences( contents, directory, assetManifest ) {
+      return contents.replace( ASSET_REFERENCE_REGEX, ( match, prefix, reference ) => {
+        if ( REMOTE_URL_REGEX.test( reference ) ) return match;
+
+        const referencePath = reference.split( /[?#]/ )[ 0 ];
+        const assetPath = referencePath.startsWith( '/' ) ?
+          referencePath.slice( 1 ) : path.posix.join( directory || '.', referencePath );
+        const copiedPath = assetManifest[ path.posix.normalize( assetPath ) ];
+        if ( !copiedPath ) return match;
 
-        // Write the optimized requirejs into the output file.
-        grunt.file.write( path.join( buildDirectory, buildConfiguration.requirejs.outputFile ), optimzedRequireJs );
+        // Only the file name of the reference changes, since assets keep their relative subdirectory paths.
+        return prefix + referencePath.slice( 0, referencePath.lastIndexOf( '/' ) + 1 )
+               + path.posix.basename( copiedPath ) + reference.slice( referencePath.length );
+      } );
+    }
+
+    /**
+     * Gets the hashed path of a file, which has the first HASH_LENGTH characters of the SHA-256 hash of its contents
+     * before the first extension. For instance, 'css/app.min.css' becomes 'css/app.1a2b3c4d.min.css'. Since the path
+     * changes whenever the contents change, hashed files can be cached indefinitely by browsers.
+     * @public
+     *
+     * @param {String} filePath - the path of the file, without the hash
+     * @param {string|Buffer} contents - the contents of the file
+     * @returns {String} - the hashed path
+     */
+    static getHashedPath( filePath, contents ) {
+      const hash = crypto.createHash( 'sha256' ).update( contents ).digest( 'hex' ).slice( 0, HASH_LENGTH );
+      const { name, extensions } = this.splitExtensions( filePath );
+      return path.join( path.dirname( filePath ), `${ name }.${ hash }${ extensions }` );
+    }
+
+    /**
+     * Writes a file to its hashed path (see getHashedPath()). Hashed versions of the file from previous builds (in the
+     * same directory) are removed, so that rebuilds don't accumulate stale files.
+     * @public
+     *
+     * @param {String} filePath - absolute path of the file to write, without the hash
+     * @param {string|Buffer} contents - the contents of the file
+     * @param {String[]} [keptPaths] - absolute hashed paths that were written by the same build, which aren't stale
+     * @returns {String} - the absolute hashed path that was written to
+     */
+    static writeHashedFile( filePath, contents, keptPaths = [] ) {
+      const hashedPath = this.getHashedPath( filePath, contents );
+      const { name, extensions } = this.splitExtensions( filePath );
+      const hashedRegex = new RegExp( `^${ _.escapeRegExp( name ) }\\.[0-9a-f]{${ HASH_LENGTH }}`
+        + `${ _.escapeRegExp( extensions ) }$` );
 
-        if ( buildConfiguration.requirejs.generateBuildHtml ) {
-          Util.assert( grunt.file.isFile( path.join( sourceDirectory, 'index.html' ) ), 'no index.html file found' );
-          originalSize += fs.statSync( path.join( sourceDirectory, 'index.html' ) ).size;
+      if ( grunt.file.isDir( path.dirname( filePath ) ) ) {
+        fs.readdirSync( path.dirname( filePath ) ).forEach( name => {
+          const stalePath = path.join( path.dirname( filePath ), name );
+          if ( hashedRegex.test( name ) && stalePath !== hashedPath && !keptPaths.includes( stalePath ) ) {
+            grunt.file.delete( stalePath, { force: true } );
+          }
+        } );
+      }
+      grunt.file.write( hashedPath, contents );
+      return hashedPath;
+    }
 
-          const indexHTML = grunt.file.read( path.join( sourceDirectory, 'index.html' ) );
-          const head = Util.getStringFrom( '<head>', '</head>', indexHTML );
-          const bodyStart = Util.getStringFrom( '<body', '>', indexHTML );
+    /**
+     * Splits the file name of a path at its first extension. For instance, 'css/app.min.css' is split into 'app' and
+     * '.min.css'. See getHashedPath().
+     * @private
+     *
+     * @param {String} filePath
+     * @returns {Object} - { name: {String}, extensions: {String} }
+     */
+    static splitExtensions( filePath ) {
+      const basename = path.basename( filePath );
+      const extensionIndex = basename.includes( '.' ) ? basename.indexOf( '.' ) : basename.length;
+      return { name: basename.slice( 0, extensionIndex ), extensions: basename.slice( extensionIndex ) };
+    }
 
-          Generator.registerRunTimeReplacementValue( 'BUILD_HEAD', head );
-          Generator.registerRunTimeReplacementValue( 'BUILD_BODY', bodyStart +
-            '<script>\n' + optimzedRequireJs + '\n</script>\n' + '</body>' );
+    /**
+     * Replaces the requirejs script tags (see REQUIRE_JS_SCRIPT_REGEX) or the module script tags of esm projects (see
+     * MODULE_SCRIPT_REGEX) of the body of a index.html file with the script of the bundle, keeping the rest of the
+     * body. If there are multiple script tags, the first one is replaced and the rest are removed. If there are none,
+     * the script is appended to the end of the body.
+     * @private
+     *
+     * @param {String} body - the body of the index.html file, including the body tags
+     * @param {String} script - the script tag(s) of the bundle
+     * @param {boolean} isRequireJs - indicates if the project is a requirejs project (instead of a esm project)
+     * @param {String} [htmlFile] - the path of the page, relative to the source directory, for warnings
+     * @returns {String} - the body with the script tags replaced
+     */
+    static replaceBundleScripts( body, script, isRequireJs, htmlFile = 'index.html' ) {
+      let replaced = false;
 
-          const endFile = path.relative( Util.REPO_PATH, path.join( buildDirectory, 'index.html' ) );
+      // Functions are used as the replacements since the script may contain special replacement patterns, like '$&'.
+      body = body.replace( isRequireJs ? REQUIRE_JS_SCRIPT_REGEX : MODULE_SCRIPT_REGEX, () => {
+        if ( replaced ) return '';
+        replaced = true;
+        return script;
+      } );
 
-          Generator.generateFile( 'templates/index-build-template.html', endFile );
-          newSize = fs.statSync( path.join( buildDirectory, 'index.html' ) ).size;
+      if ( !replaced ) {
+        grunt.log.warn( `No ${ isRequireJs ? 'requirejs' : 'module' } script tags found in ${ htmlFile }. The script `
+          + 'was appended to the body.' );
+        body = body.replace( /<\/body>$/, () => `${ script }\n</body>` );
+      }
+      return body;
+    }
+
+    /**
+     * Generates the per-module bundle size report of a requirejs or esm project (see ./Reporter.js). Each module (for
+     * requirejs projects, after onBuildRead) is transpiled and minified on its own with the compress options of the
+     * build configuration to approximate its contribution to the bundle.
+     * @private
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {Object} bundle - the bundle, with its mainEntry, outputFile, and the modules that r.js included (see
+     *                          optimizeAMD()) or that were bundled (see Bundler.bundle())
+     * @param {number} bundleSize - the size of the output file, in bytes
+     */
+    static generateReport( buildConfiguration, bundle, bundleSize ) {
+      const compress = buildConfiguration.compress;
+
+      Reporter.generateReport( buildConfiguration.buildDirectory, {
+        mainEntry: bundle.mainEntry,
+        outputFile: bundle.outputFile,
+        bundleSize,
+        modules: bundle.modules.map( module => {
+          const transpiled = compress.babelTranspile ?
+            this.transpile( module.code, compress.babelOverrideOptions, compress.targets ).code : module.code;
+          const minified = compress.minify ? this.minify( transpiled, {
+            mangle: compress.mangle,
+            safari10: this.targetsSafari10( compress.targets ),
+            defines: buildConfiguration.defines,
+            ...compress.minifyOverrideOptions,
+            preamble: false
+          } ).code : transpiled;
+
+          return {
+            name: module.name,
+            path: module.path,
+            dependencies: module.dependencies,
+            rawSize: module.originalSize,
+            transpiledSize: Buffer.byteLength( transpiled ),
+            minifiedSize: Buffer.byteLength( minified )
+          };
+        } )
+      } );
+    }
+
+    /**
+     * Watches the source directory (see ./Watcher.js) and incrementally rebuilds when files change, printing a short
+     * summary of the timing and size changes of each rebuild. For projects that aren't bundled, only the files that
+     * changed are rebuilt. For requirejs projects, the project is optimized again, but the transpiled modules that
+     * haven't changed are reused (see TRANSPILE_CACHE). For esm projects, the project is bundled again. Errors while
+     * rebuilding are logged and don't stop watching.
+     * @public
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {number} newSize - the size of the build output of the last build, in bytes
+     * @param {boolean} [report] - indicates if the bundle size report should be regenerated. See generateReport().
+     * @param {boolean} [cache] - indicates if the disk cache of transpiled requirejs modules should be used.
+     * @returns {Promise} - never resolves, since the source directory is watched until the process is stopped.
+     */
+    static watch( buildConfiguration, newSize, report = false, cache = true ) {
+      const sourceDirectory = buildConfiguration.sourceDirectory;
+      const buildDirectory = buildConfiguration.buildDirectory;
+      const target = buildConfiguration.target ? chalk` ({cyan ${ buildConfiguration.target }})` : '';
+
+      // Rebuilds the project for the given changed paths (relative to the source directory).
+      const rebuild = async changedPaths => {
+        const startTime = Date.now();
+
+        if ( buildConfiguration.requirejs || buildConfiguration.esm ) {
+          const previousSize = newSize;
+          ( { newSize } = await this.buildProject( buildConfiguration, report, cache ) );
+
+          Util.logln( chalk`\nRebuilt${ target } in {yellow ${ Date.now() - startTime }ms}: ${ newSize } bytes ` +
+            `(${ this.formatSizeChange( previousSize, newSize ) })` );
         }
         else {
-          newSize = fs.statSync( path.join( buildDirectory, buildConfiguration.requirejs.outputFile ) ).size;
+          const ignorePattern = this.getIgnorePattern( sourceDirectory, buildDirectory );
+
+          // Expand the directories that changed (for instance, directories that were moved in) into their files.
+          const changedFiles = new Set();
+          changedPaths.forEach( relativePath => {
+            if ( !grunt.file.isDir( sourceDirectory, relativePath ) ) return changedFiles.add( relativePath );
+
+            Util.walkDirectory( path.join( sourceDirectory, relativePath ), ( filePath, subpath ) => {
+              changedFiles.add( `${ relativePath }/${ subpath }` );
+            }, ignorePattern );
+          } );
+
+          const fileSummaries = [ ...changedFiles ].map( relativePath => {
+            const outputPath = path.join( buildDirectory, relativePath );
+            const previousSize = grunt.file.isFile( outputPath ) ? fs.statSync( outputPath ).size : 0;
+
+            // The file or directory was removed, so remove its build output as well.
+            if ( !grunt.file.exists( sourceDirectory, relativePath ) ) {
+              [ outputPath, `${ outputPath }.map` ].forEach( filePath => {
+                if ( grunt.file.exists( filePath ) ) grunt.file.delete( filePath, { force: true } );
+              } );
+              return `${ relativePath }: removed`;
+            }
+
+            const sizes = this.buildFile( sourceDirectory, buildDirectory, relativePath, buildConfiguration.compress,
+              buildConfiguration.defines );
+            return !sizes ? `${ relativePath }: copied` :
+              `${ relativePath }: ${ sizes.newSize } bytes (${ this.formatSizeChange( previousSize, sizes.newSize ) })`;
+          } );
+
+          Util.logln( chalk`\nRebuilt ${ Util.pluralize( 'file', changedFiles.size ) }${ target } in ` +
+            chalk`{yellow ${ Date.now() - startTime }ms}:\n  ${ fileSummaries.join( '\n  ' ) }` );
+        }
+
+        // Precompress the files that were rebuilt, and update the hashes of the build manifest.
+        if ( buildConfiguration.compress.precompress ) this.precompress( buildConfiguration, cache );
+        BuildManifest.write( buildConfiguration );
+      };
+
+      const watcher = new Watcher( sourceDirectory, changedPaths => {
+        rebuildQueue = rebuildQueue.then( () => rebuild( changedPaths ) ).catch( error => {
+          grunt.log.error( `Rebuild${ target } failed:\n${ error.stack || error }` );
+        } );
+      }, { ignorePattern: this.getIgnorePattern( sourceDirectory, buildDirectory ) } );
+      watcher.start();
+
+      Util.logln( chalk`\nWatching {cyan ${ sourceDirectory }} for changes...` );
+      return new Promise( () => {} );
+    }
+
+    /**
+     * Writes the gzip and brotli versions of the JS, CSS, and HTML files of the build directory next to each file (for
+     * instance, app.js.gz and app.js.br), so that static hosts can serve them directly, and measures their sizes. Only
+     * called if the precompress compress option is provided, since the best compression levels are slow. The hash of
+     * the contents of each file is recorded in the disk cache (see ./Cache.js) when it is compressed, so that the
+     * compressed files of files that haven't changed since the last build are reused. Compressed files of removed files
+     * are deleted.
+     * @private
+     *
+     * @param {Object} buildConfiguration - see getBuildConfiguration()
+     * @param {boolean} [useCache] - indicates if the compressed files of unchanged files should be reused.
+     * @returns {Object} - { gzipSize: {number}, brotliSize: {number} }, the total compressed sizes in bytes
+     */
+    static precompress( buildConfiguration, useCache = true ) {
+      const { buildDirectory } = buildConfiguration;
+      const sizes = { gz: 0, br: 0 };
+      if ( !grunt.file.isDir( buildDirectory ) ) return { gzipSize: 0, brotliSize: 0 };
+
+      // Maps the relative path of each file to the hash of its contents when it was last compressed.
+      const cacheKey = Cache.getKey( buildDirectory );
+      const previousHashes = useCache ? JSON.parse( Cache.read( 'precompress', cacheKey ) || '{}' ) : {};
+      const hashes = {};
+
+      Util.walkDirectory( buildDirectory, ( filePath, relativePath ) => {
+        const extension = Util.getExtension( filePath );
+
+        // Remove the compressed files of files that no longer exist.
+        if ( COMPRESSED_FILES[ extension ] ) {
+          const originalPath = filePath.slice( 0, -extension.length - 1 );
+          const originalExtension = Util.getExtension( originalPath );
+          if ( PRECOMPRESS_EXTENSIONS.includes( originalExtension ) && !grunt.file.exists( originalPath ) ) {
+            grunt.file.delete( filePath, { force: true } );
+          }
+          return;
+        }
+        if ( !PRECOMPRESS_EXTENSIONS.includes( extension ) ) return;
+
+        const contents = fs.readFileSync( filePath );
+        hashes[ relativePath ] = crypto.createHash( 'sha256' ).update( contents ).digest( 'hex' );
+        Util.iterate( COMPRESSED_FILES, ( compressedExtension, compressContents ) => {
+          const compressedPath = `${ filePath }.${ compressedExtension }`;
+
+          if ( previousHashes[ relativePath ] === hashes[ relativePath ] && grunt.file.isFile( compressedPath ) ) {
+            sizes[ compressedExtension ] += fs.statSync( compressedPath ).size;
+            return;
+          }
+          const compressed = compressContents( contents );
+          fs.writeFileSync( compressedPath, compressed );
+          sizes[ compressedExtension ] += compressed.length;
+        } );
+      }, [] );
+
+      if ( useCache ) Cache.write( 'precompress', cacheKey, JSON.stringify( hashes ) );
+      return { gzipSize: sizes.gz, brotliSize: sizes.br };
+    }
+
+    /**
+     * Formats the change between two sizes, for build summaries. For instance, Builder.formatSizeChange( 10, 12 )
+     * returns '+2 bytes'.
+     * @private
+     *
+     * @param {number} previousSize - in bytes
+     * @param {number} size - in bytes
+     * @returns {string}
+     */
+    static formatSizeChange( previousSize, size ) {
+      const change = size - previousSize;
+      return change === 0 ? 'no change' : `${ change > 0 ? '+' : '' }${ change } bytes`;
+    }
+
+    /**
+     * Gets the pattern of files and directories to skip in the source directory, which is Util.IGNORE_PATTERN, the
+     * build directory itself (if it is a subdirectory of the source directory), and the project metadata and config
+     * files (see PROJECT_FILES) if the source directory is the root of the repository.
+     * @public
+     *
+     * @param {String} sourceDirectory - absolute path to the directory that contains the source code
+     * @param {String} buildDirectory - absolute path to the directory to output the build files
+     * @returns {String[]}
+     */
+    static getIgnorePattern( sourceDirectory, buildDirectory ) {
+      const buildSubdirectory = Util.toPosixPath( path.relative( sourceDirectory, buildDirectory ) );
+      return [
+        ...Util.IGNORE_PATTERN,
+        ...( buildSubdirectory && !buildSubdirectory.startsWith( '..' ) ? [ `/${ buildSubdirectory }` ] : [] ),
+        ...( !path.relative( Util.REPO_PATH, sourceDirectory ) ? PROJECT_FILES.map( file => `/${ file }` ) : [] )
+      ];
+    }
+
+    /**
+     * Compiles every .js file in the source directory and copies it to the build directory, with the same relative
+     * subdirectory path. All other files are copied over unchanged. Files and directories that fall into the ignore
+     * pattern (see getIgnorePattern()) are skipped. Used for non-requirejs projects.
+     * @public
+     *
+     * @param {String} sourceDirectory - absolute path to the directory that contains the source code
+     * @param {String} buildDirectory - absolute path to the directory to output the build files
+     * @param {Object} compress - the compress options of the build configuration. See DEFUALT_BUILD_OPTIONS.
+     * @param {Object} [defines] - the compile-time constants of the build configuration. See resolveDefines().
+     * @returns {Object} - { originalSize: {number}, newSize: {number} }, the total sizes of the .js files in bytes
+     */
+    static buildFiles( sourceDirectory, buildDirectory, compress, defines = {} ) {
+      Util.assert( grunt.file.isDir( sourceDirectory ), `sourceDirectory not found: ${ sourceDirectory }` );
+
+      let originalSize = 0;
+      let newSize = 0;
+
+      Util.walkDirectory( sourceDirectory, ( filePath, relativePath ) => {
+        const sizes = this.buildFile( sourceDirectory, buildDirectory, relativePath, compress, defines );
+
+        if ( sizes ) {
+          originalSize += sizes.originalSize;
+          newSize += sizes.newSize;
+          Util.logln( `${ relativePath }: ${ sizes.originalSize } bytes -> ${ sizes.newSize } bytes` );
         }
+      }, this.getIgnorePattern( sourceDirectory, buildDirectory ) );
+
+      return { originalSize, newSize };
+    }
+
+    /**
+     * Compiles a single .js file of the source directory and writes it to the build directory, with the same relative
+     * subdirectory path. If the file isn't a .js file, it is copied over unchanged. See buildFiles().
+     * @public
+     *
+     * @param {String} sourceDirectory - absolute path to the directory that contains the source code
+     * @param {String} buildDirectory - absolute path to the directory to output the build files
+     * @param {String} relativePath - path of the file, relative to the source directory
+     * @param {Object} compress - the compress options of the build configuration. See DEFUALT_BUILD_OPTIONS.
+     * @param {Object} [defines] - the compile-time constants of the build configuration. See resolveDefines().
+     * @returns {Object|null} - { originalSize: {number}, newSize: {number} } in bytes, or null if the file was copied.
+     */
+    static buildFile( sourceDirectory, buildDirectory, relativePath, compress, defines = {} ) {
+      const filePath = path.join( sourceDirectory, relativePath );
+      const outputPath = path.join( buildDirectory, relativePath );
+
+      // Non .js files are copied over unchanged.
+      if ( Util.getExtension( filePath ) !== 'js' ) {
+        grunt.file.copy( filePath, outputPath );
+        grunt.verbose.writeln( `Verbose: copied ${ relativePath }` );
+        return null;
+      }
+
+      // Top-level names are kept, since scripts of non-requirejs projects may reference each other's globals.
+      const compiled = this.compile( grunt.file.read( filePath ), compress, {
+        minifyOptions: { module: false },
+        sourceFileName: filePath,
+        defines
+      } );
+      this.writeCompiledFile( outputPath, compiled, compress.sourceMaps );
+
+      return { originalSize: fs.statSync( filePath ).size, newSize: fs.statSync( outputPath ).size };
+    }
+
+    /**
+     * Substitutes the given compile-time constants (see substituteDefines()), then Babel-transpiles and minifies the
+     * given JS code, depending on the babelTranspile and minify compress options. If the sourceMaps compress option
+     * is provided, the source maps of each step are chained into one source map that points back to the original
+     * source (or to the sources of inputSourceMap, if provided).
+     * @public
+     *
+     * @param {string} code - code to compile
+     * @param {Object} compress - the compress options of the build configuration. See DEFUALT_BUILD_OPTIONS.
+     * @param {Object} [options] - Object literal with:
+     *                             - {Object} [minifyOptions] - additional options to pass to minify (MINIFY_DEFAULTS).
+     *                             - {Object} [inputSourceMap] - source map of the given code to chain from.
+     *                             - {String} [sourceFileName] - name of the original source, if no inputSourceMap.
+     *                             - {Object} [defines] - compile-time constants to substitute. See resolveDefines().
+     *                             - {Object} [wrapper] - { start: {string}, end: {string} }, code to wrap the code in
+     *                                                    after transpiling and before minifying. The start must end
+     *                                                    with a newline, so that the source map only needs to be
+     *                                                    offset by its lines.
+     * @returns {Object} - { code: {string}, map: {Object|null}, licenses: {string[]} }, the compiled code, its source
+     *                     map, and the license comments that were extracted when minifying (see minify())
+     */
+    static compile( code, compress, { minifyOptions, inputSourceMap, sourceFileName, defines = {}, wrapper } = {} ) {
+      const sourceMap = !!compress.sourceMaps;
+      let map = sourceMap && inputSourceMap || null;
+      let licenses = [];
+
+      if ( !_.isEmpty( defines ) ) {
+        ( { code, map } = this.substituteDefines( code, defines,
+          sourceMap ? { sourceMaps: true, inputSourceMap: map || false, sourceFileName } : {} ) );
+      }
+
+      if ( compress.babelTranspile ) {
+        ( { code, map } = this.transpile( code, {
+          ...compress.babelOverrideOptions,
+          ...( sourceMap ? { sourceMaps: true, inputSourceMap: map || false, sourceFileName } : {} )
+        }, compress.targets ) );
+      }
+      if ( wrapper ) {
+        map = map && this.offsetSourceMap( map, wrapper.start.split( '\n' ).length - 1 );
+        code = `${ wrapper.start }${ code }${ wrapper.end }`;
+      }
+      if ( compress.minify ) {
+        ( { code, map, licenses } = this.minify( code, {
+          mangle: compress.mangle,
+          safari10: this.targetsSafari10( compress.targets ),
+          defines,
+          banner: compress.banner,
+          licenseComments: compress.licenseComments,
+          ...minifyOptions,
+          ...compress.minifyOverrideOptions,
+          sourceMap,
+          inputSourceMap: map,
+          sourceFileName
+        } ) );
+      }
+      return { code, map: map || null, licenses };
+    }
 
-        if ( grunt.file.exists( path.join( Util.REPO_PATH, 'CNAME' ) ) ) {
-          grunt.file.copy( path.join( Util.REPO_PATH, 'CNAME' ), path.join( buildDirectory, 'CNAME' ) );
+    /**
+     * Substitutes compile-time constants into the given JS code with a Babel plugin, replacing each reference of a
+     * constant (that isn't shadowed by a local declaration) with its value. For instance, with the defines
+     * { DEBUG: false }, `if ( DEBUG ) { ... }` becomes `if ( false ) { ... }`, which Terser removes when minifying.
+     * @public
+     *
+     * @param {string} code - code to substitute the constants into
+     * @param {Object} defines - maps the name of each constant to its (JSON) value. See resolveDefines().
+     * @param {Object} [options] - options to pass to Babel, for instance to generate a source map
+     * @returns {Object} - { code: {string}, map: {Object|null} }, the substituted code and its source map
+     */
+    static substituteDefines( code, defines, options ) {
+      const definesPlugin = ( { types } ) => ( {
+        visitor: {
+          ReferencedIdentifier( path ) {
+            const name = path.node.name;
+            if ( !Object.prototype.hasOwnProperty.call( defines, name ) || path.scope.hasBinding( name, true ) ) return;
+            path.replaceWith( types.valueToNode( defines[ name ] ) );
+          }
         }
+      } );
+
+      return this.transpile( code, {
+        compact: false,
+        retainLines: true,
+        plugins: [ definesPlugin ],
+        presets: [],
+        ...options
+      } );
+    }
+
+    /**
+     * Writes compiled code (see compile()) to a file. If the compiled code has a source map, the source map is either
+     * written next to the file ('external') or embedded as a data url ('inline'). Sources that aren't files are removed
+     * (see removeGeneratedSources()), the other sources of the source map are made relative to the file, and the
+     * sourceMappingURL comment is appended to the code.
+     * @public
+     *
+     * @param {String} filePath - absolute path of the file to write to
+     * @param {Object} compiled - { code: {string}, map: {Object|null} }, see compile()
+     * @param {boolean|string} sourceMaps - the sourceMaps compress option. See SOURCE_MAPS_VALUES.
+     * @returns {string} - the code that was written
+     */
+    static writeCompiledFile( filePath, compiled, sourceMaps ) {
+      let code = compiled.code;
+
+      if ( compiled.map ) {
+        compiled.map = this.removeGeneratedSources( compiled.map );
+        compiled.map.file = path.basename( filePath );
+        compiled.map.sources = compiled.map.sources.map( source => !path.isAbsolute( source ) ? source :
+          Util.toPosixPath( path.relative( path.dirname( filePath ), source ) ) );
+
+        if ( sourceMaps === 'external' ) grunt.file.write( `${ filePath }.map`, JSON.stringify( compiled.map ) );
+        code += this.getSourceMappingURLComment( compiled.map, sourceMaps, `${ path.basename( filePath ) }.map` );
       }
+      grunt.file.write( filePath, code );
+      return code;
+    }
 
-      grunt.log.writeln( '\n\nFinished...\n' );
-      grunt.log.writeln( `Original Size: ${ originalSize } bytes` );
-      grunt.log.writeln( `Minified Size: ${ newSize } bytes` );
-      grunt.log.writeln( `Saved ${ ( originalSize - newSize ) } bytes (${ ( ( originalSize - newSize ) / originalSize * 100 ).toFixed( 2 ) }% saved)` );
+    /**
+     * Removes the sources of a source map that aren't files, with their mappings. r.js generates code for some options
+     * (for instance, the require() call of the insertRequire option) with a source like 'module-insertRequire.js',
+     * which has no contents and can't be opened in the browser devtools. See https://github.com/mozilla/source-map.
+     * @private
+     *
+     * @param {Object} map - the source map, with absolute sources
+     * @returns {Object} - the source map without the sources that aren't files
+     */
+    static removeGeneratedSources( map ) {
+      if ( map.sources.every( source => grunt.file.isFile( source ) ) ) return map;
 
-      // If provided, run the postBuild command after building.
-      if ( buildConfiguration.postBuild ) shell.exec( UserConfig.BUILD_RC.postBuild );
+      const consumer = new sourceMap.SourceMapConsumer( map );
+      const generator = new sourceMap.SourceMapGenerator( { file: map.file } );
+      consumer.eachMapping( mapping => {
+        if ( mapping.source === null || !grunt.file.isFile( mapping.source ) ) return;
+        generator.addMapping( {
+          generated: { line: mapping.generatedLine, column: mapping.generatedColumn },
+          original: { line: mapping.originalLine, column: mapping.originalColumn },
+          source: mapping.source,
+          name: mapping.name
+        } );
+      } );
+      consumer.sources.filter( source => grunt.file.isFile( source ) ).forEach( source => {
+        const content = consumer.sourceContentFor( source, true );
+        if ( content !== null ) generator.setSourceContent( source, content );
+      } );
+      return generator.toJSON();
+    }
+
+    /**
+     * Creates the sourceMappingURL comment to append to code. See https://sourcemaps.info/spec.html.
+     * @public
+     *
+     * @param {Object} map - the source map of the code
+     * @param {string} sourceMaps - the sourceMaps compress option, either 'external' or 'inline'.
+     * @param {string} url - url of the external source map, relative to where the code is loaded.
+     * @returns {string}
+     */
+    static getSourceMappingURLComment( map, sourceMaps, url ) {
+      if ( sourceMaps === 'inline' ) {
+        const base64 = Buffer.from( JSON.stringify( map ) ).toString( 'base64' );
+        url = `data:application/json;charset=utf-8;base64,${ base64 }`;
+      }
+      return `\n//# sourceMappingURL=${ url }`;
+    }
+
+    /**
+     * Offsets the generated lines of a source map, for when lines are prepended to the generated code.
+     * Each semicolon in the mappings of a source map starts a new generated line, and the rest of the mappings are
+     * relative, so prepending semicolons shifts every mapping down. See https://sourcemaps.info/spec.html.
+     * @public
+     *
+     * @param {Object} map - the source map to offset
+     * @param {number} lines - the number of lines that were prepended
+     * @returns {Object} - the offset source map
+     */
+    static offsetSourceMap( map, lines ) {
+      return { ...map, mappings: ';'.repeat( lines ) + map.mappings };
     }
 
     /**
@@ -160,9 +1710,15 @@ module.exports = ( () => {
      * See https://terser.org/docs/api-reference for more documentation.
      * @public
      *
+     * License comments (see LICENSE_COMMENT_REGEX) are removed, preserved, or extracted depending on the
+     * licenseComments option. They are collected from the code before minifying, since Terser drops the comments of
+     * code that it inlines or removes. Preserved comments are added after the banner, and extracted comments are
+     * returned instead.
+     *
      * @param {string} code - code to minify
-     * @param {Object} options
-     * @returns {string} - the minified code
+     * @param {Object} options - see MINIFY_DEFAULTS
+     * @returns {Object} - { code: {string}, map: {Object|null}, licenses: {string[]} }, the minified code, its source
+     *                     map (if requested), and the extracted license comments
      */
     static minify( code, options ) {
       options = {
@@ -172,41 +1728,93 @@ module.exports = ( () => {
         ...options
       };
 
+      const licenses = options.licenseComments === 'none' ? [] : this.getLicenseComments( code );
+      const preamble = [
+        options.preamble ? options.banner : null,
+        ...( options.licenseComments === 'preserve' ? licenses : [] )
+      ].filter( comment => comment ).join( '\n\n' );
+
       // Create the terser minify options. See https://terser.org/docs/api-reference#minify-options.
       const terserOptions = {
         mangle: options.mangle ? {
-          safari10: true,
-          module: true
+          safari10: options.safari10,
+          module: options.module
         } : false,
         compress: {
-          dead_code: true // remove unreachable code
+          dead_code: true, // remove unreachable code
+          global_defs: options.defines
         },
         output: {
           beautify: options.beautify,
           comments: '',
-          preamble: `// Copyright © ${ Generator.getValue( 'AUTHOR' ) }. All rights reserved.\n\n` +
-                    '/**\n' +
-                    ` * @license ${ Generator.getValue( 'REPO_NAME' ) } ${ Generator.getValue( 'VERSION' ) }\n` +
-                    ` * Released under ${ Generator.getValue( 'LICENSE' ) }\n` +
-                    ' */'
+          preamble: preamble || undefined
         }
       };
 
-      const minify = terser.minify( code, terserOptions );
+      // Chain the source map from the inputSourceMap, if provided.
+      if ( options.sourceMap ) terserOptions.sourceMap = { content: options.inputSourceMap || undefined };
+
+      const minify = terser.minify( { [ options.sourceFileName ]: code }, terserOptions );
       if ( minify.error ) { Util.throw( minify.error ); }
-      return minify.code;
+      return {
+        code: minify.code,
+        map: minify.map ? JSON.parse( minify.map ) : null,
+        licenses: options.licenseComments === 'extract' ? licenses : []
+      };
+    }
+
+    /**
+     * Gets the license comments (see LICENSE_COMMENT_REGEX) of the given JS code, in order and without duplicates.
+     * @private
+     *
+     * @param {string} code
+     * @returns {string[]} - the comments, including their delimiters (like /*! ... *\/)
+     */
+    static getLicenseComments( code ) {
+      const ast = babel.parseSync( code, { babelrc: false, configFile: false, sourceType: 'unambiguous' } );
+
+      return _.uniq( ast.comments.filter( comment => LICENSE_COMMENT_REGEX.test( comment.value ) ).map( comment =>
+        comment.type === 'CommentBlock' ? `/*${ comment.value }*/` : `//${ comment.value }` ) );
     }
 
     /**
      * Runs a require.js optimizer build step for and AMD project.
      * @public
      *
+     * If generateSourceMaps is true, each module is transpiled while retaining its lines, so that the line mappings
+     * that r.js generates point to the original module files. The returned source map has absolute sources with the
+     * original contents of each module.
+     *
+     * The returned modules are the modules that r.js included, in order, each with its name, absolute path, original
+     * size, code (after onBuildRead), and dependencies (module names).
+     *
+     * Transpiled modules are also cached on disk (see ./Cache.js) if useCache is true, keyed by the contents of the
+     * module, the Babel options (including the Babel config file of the project, if any), and the version of Babel.
+     *
      * @param {Object} [options]
-     * @returns {Promise.<string>} - The combined JS output from the optimizer
+     * @param {boolean} [generateSourceMaps]
+     * @param {boolean} [useCache] - indicates if transpiled modules should be read from and written to the disk cache.
+     * @param {Object} [layerOptions] - r.js options of the modules to include, for instance name, include, exclude,
+     *                                  deps, and insertRequire. Defaults to the mainEntry with almond.
+     * @returns {Promise.<Object>} - { code: {string}, map: {Object|null}, originalSize: {number}, modules: {Object[]} }
      */
-    static optimizeAMD( options ) {
+    static optimizeAMD( options, generateSourceMaps = false, useCache = true, layerOptions = {} ) {
       let output;
+      let outputSourceMap;
       let originalSize = 0;
+      const originalContents = {}; // Maps the absolute path of each module to its original contents.
+      const modules = {}; // Maps the name of each module to its information, see above.
+
+      // Babel options to transpile each module with, and the contents of the Babel config file of the project that
+      // Babel loads on top of them, for the disk cache keys.
+      const transpileOptions = {
+        compact: false,
+        retainLines: generateSourceMaps,
+        plugins: [ [ '@babel/plugin-proposal-object-rest-spread', { loose: true, useBuiltIns: true } ] ],
+        presets: null
+      };
+      const babelConfigFile = useCache ? babel.loadPartialConfig( transpileOptions ).config : null;
+      const babelConfig = babelConfigFile ? grunt.file.read( babelConfigFile ) : null;
       // All options are documented at https://github.com/requirejs/r.js/blob/master/build/example.build.js
       const config = {
 
@@ -227,66 +1835,191 @@ module.exports = ( () => {
         mainConfigFile: options.configFile,
         onBuildRead: ( moduleName, path, contents ) => {
           originalSize += fs.statSync( path ).size;
+          originalContents[ path ] = contents;
 
-          return this.transpile( contents, {
-            compact: false,
-            plugins: [ [ '@babel/plugin-proposal-object-rest-spread', { loose: true, useBuiltIns: true } ] ],
-            presets: null
-          } );
+          // Reuse the transpiled module from the last build if it hasn't changed.
+          const cached = TRANSPILE_CACHE[ path ];
+          if ( cached && cached.contents === contents && cached.retainLines === generateSourceMaps ) return cached.code;
+
+          // Otherwise, reuse the transpiled module from the disk cache.
+          const cacheKey = useCache && Cache.getKey( babel.version, transpileOptions, babelConfig, contents );
+          let code = useCache ? Cache.read( 'transpile', cacheKey ) : null;
+
+          if ( code === null ) {
+            code = this.transpile( contents, transpileOptions ).code;
+            if ( useCache ) Cache.write( 'transpile', cacheKey, code );
+          }
+          TRANSPILE_CACHE[ path ] = { contents, retainLines: generateSourceMaps, code };
+          return code;
+        },
+
+        // Record the dependencies of each module, after r.js has named the define call and added its dependencies.
+        onBuildWrite: ( moduleName, filePath, contents ) => {
+          const defineMatch = contents.match( /define\(\s*(['"])([^'"]+)\1\s*,\s*\[([^\]]*)\]/ );
+          const dependencies = ( defineMatch ? defineMatch[ 3 ].match( /(['"])[^'"]+\1/g ) || [] : [] )
+            .map( dependency => dependency.slice( 1, -1 ) )
+            .filter( dependency => ![ 'require', 'exports', 'module' ].includes( dependency ) )
+            .map( dependency => dependency.startsWith( '.' ) ?
+              path.posix.join( path.posix.dirname( moduleName ), dependency ) : dependency );
+
+          modules[ moduleName ] = {
+            name: moduleName,
+            path: filePath,
+            originalSize: fs.statSync( filePath ).size,
+            code: contents,
+            dependencies
+          };
+          return contents;
         },
 
         // optimized output file
-        out( js, sourceMap ) { output = js; },
+        out( js, sourceMap ) {
+          output = js;
+          outputSourceMap = sourceMap;
+        },
+        generateSourceMaps,
 
         // turn on preservation of comments that have a license in them
         preserveLicenseComments: false,
         optimizeAllPluginResources: true,
         inlineText: true,
         insertRequire: [ options.mainEntry ],
+        ...layerOptions,
         ...options.overrideOptions
       };
       return new Promise( ( resolve, reject ) => {
 
         requirejs.optimize( config, ( buildResponse ) => {
-          resolve( { code: output, originalSize: originalSize } );
+          resolve( {
+            code: output,
+            map: outputSourceMap ? this.resolveAMDSourceMap( JSON.parse( outputSourceMap ), originalContents ) : null,
+            originalSize,
+            modules: Object.values( modules )
+          } );
         }, ( err ) => {
           reject( new Error( err ) );
         } );
       } );
     }
 
+    /**
+     * Optimizes the bundles of a requirejs project (see optimizeAMD()). If the project doesn't declare multiple
+     * bundles, the project is optimized into the single bundle of its mainEntry.
+     * @private
+     *
+     * Otherwise, the modules that more than one entry depends on (transitively) are extracted into a common bundle,
+     * along with almond. The common bundle exposes the almond loader (see AMD_LOADER_GLOBAL), which the bundle of each
+     * entry uses to define its other modules and require its entry. The common bundle must be loaded first.
+     *
+     * @param {Object} options - the requirejs option of the build configuration
+     * @param {boolean} [generateSourceMaps]
+     * @param {boolean} [useCache] - indicates if transpiled modules should be read from and written to the disk cache.
+     * @returns {Promise.<Object[]>} - the optimized bundles (see optimizeAMD()) in load order, each also with its
+     *                                 mainEntry, outputFile, and html page (null for the common bundle)
+     */
+    static async optimizeAMDBundles( options, generateSourceMaps = false, useCache = true ) {
+      if ( !options.bundles ) {
+        const optimized = await this.optimizeAMD( options, generateSourceMaps, useCache );
+        return [ { ...optimized, mainEntry: options.mainEntry, outputFile: options.outputFile, html: 'index.html' } ];
+      }
+
+      // Find the modules that each entry depends on. The dependencies of the requirejs config file are ignored (r.js
+      // merges arrays of the config file, so they are overridden with null), since each bundle includes its own entry.
+      // r.js builds are run one at a time.
+      const moduleCounts = {};
+      for ( const bundle of options.bundles ) {
+        const { modules } = await this.optimizeAMD( options, generateSourceMaps, useCache, {
+          include: [ bundle.mainEntry ],
+          deps: null,
+          insertRequire: null
+        } );
+        modules.forEach( ( { name } ) => { moduleCounts[ name ] = ( moduleCounts[ name ] || 0 ) + 1; } );
+      }
+
+      // The common modules are closed under their dependencies, since every entry that depends on a common module also
+      // depends on its dependencies.
+      const commonModules = Object.keys( moduleCounts ).filter( name => moduleCounts[ name ] > 1 && name !== 'almond' );
+      const common = await this.optimizeAMD( options, generateSourceMaps, useCache, {
+        include: commonModules,
+        deps: null,
+        insertRequire: null
+      } );
+      const bundles = [ {
+        ...common,
+        code: `${ common.code }\n${ AMD_LOADER_GLOBAL } = { requirejs: requirejs, require: require, define: define };`,
+        mainEntry: null,
+        outputFile: options.commonOutputFile,
+        html: null
+      } ];
+
+      // Optimize the bundle of each entry without the common modules (or almond), using the loader of the common
+      // bundle. The loader is declared on the first line, so the source map is offset by one line.
+      for ( const bundle of options.bundles ) {
+        const optimized = await this.optimizeAMD( options, generateSourceMaps, useCache, {
+          name: bundle.mainEntry,
+          exclude: commonModules,
+          deps: null,
+          insertRequire: [ bundle.mainEntry ]
+        } );
+        bundles.push( {
+          ...optimized,
+          code: [ 'requirejs', 'require', 'define' ].map( name => `var ${ name } = ${ AMD_LOADER_GLOBAL }.${ name };` )
+            .join( ' ' ) + `\n${ optimized.code }`,
+          map: optimized.map && this.offsetSourceMap( optimized.map, 1 ),
+          ...bundle
+        } );
+      }
+      return bundles;
+    }
+
+    /**
+     * r.js generates source map sources relative to the baseUrl, with the contents of each module after onBuildRead.
+     * Resolves each source to the absolute path of its module file (by matching the end of the path, since the baseUrl
+     * isn't exposed) and replaces the sources content with the original contents of the module.
+     * @private
+     *
+     * @param {Object} map - the source map generated by r.js
+     * @param {Object} originalContents - maps the absolute path of each module to its original contents
+     * @returns {Object} - the resolved source map
+     */
+    static resolveAMDSourceMap( map, originalContents ) {
+      const modulePaths = Object.keys( originalContents );
+
+      map.sources = map.sources.map( source => {
+        const relativePath = path.normalize( source ).replace( /^(\.\.?[/\\])+/, '' );
+        return modulePaths.find( modulePath => modulePath === relativePath
+          || modulePath.endsWith( path.sep + relativePath ) ) || source;
+      } );
+      map.sourcesContent = map.sources.map( source => originalContents[ source ] || null );
+      return map;
+    }
+
     /**
      * Transpiles code from ES6+ to browser-compatible JavaScript for older browsers or environments (ES5) using Babel.
      * See https://babeljs.io/docs/en/ for more documentation.
      * @public
      *
      * @param {string} code - code to transpile
-     * @returns {string} - the transpiled code
+     * @param {Object} [options] - options to pass to Babel, overriding the defaults
+     * @param {String[]} [targets] - browserslist queries of the browsers to transpile for. See getBrowserTargets().
+     * @returns {Object} - { code: {string}, map: {Object|null} }, the transpiled code and its source map (if requested)
      */
-    static transpile( code, options ) {
+    static transpile( code, options, targets = DEFAULT_BROWSER_TARGETS ) {
       options = {
         // Avoids a warning that this gets disabled for >500kb of source.
         compact: true,
         plugins: [ '@babel/plugin-transform-object-assign' ],
         presets: [ [ path.join( process.cwd(), '/node_modules/@babel/preset-env' ), {
           modules: false,
-          targets: {
-            browsers: [
-              // See http://browserl.ist/?q=%3E+0.5%25%2C+safari+9-11%2C+Firefox+ESR%2C+IE+11%2C+ios_saf+11
-              '> 0.5%',
-              'safari 9-11',
-              'Firefox ESR',
-              'IE 11',
-              'ios_saf 11'
-            ]
-          }
+          targets: { browsers: targets }
         } ] ],
 
         ...options
       };
 
       // See options available at https://babeljs.io/docs/en/options
-      return babel.transform( code, options ).code;
+      const result = babel.transform( code, options );
+      return { code: result.code, map: result.map || null };
     }
   }
 
@@ -0,0 +1,448 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Bundler for native ES module projects (the esm build mode), used by ./Builder.js.
+ *
+ * Resolves the static import graph of a entry module, where imports are either relative paths or packages in
+ * node_modules directories (using the module, then the main field of their package.json). The modules are then
+ * scope-hoisted into a single IIFE bundle: every module is concatenated in execution order (dependencies first) into
+ * one scope, top-level names that collide are renamed, and references to imported bindings are replaced with the
+ * exporting module's own binding (which keeps ES module live bindings). Namespace imports (import * as foo) become
+ * objects with a getter for each export.
+ *
+ * Only ES modules can be bundled, since the bundle has no module runtime. Dynamic imports and import.meta aren't
+ * supported either.
+ *
+ * Errors in the source code (like a import that can't be resolved) are thrown instead of failing grunt, so that
+ * `grunt build --watch` can log them and keep watching.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const babel = require( '@babel/core' ); // eslint-disable-line require-statement-match
+  const fs = require( 'fs' );
+  const grunt = require( 'grunt' );
+  const path = require( 'path' );
+  const Util = require( './Util' );
+
+  // constants
+  const types = babel.types;
+
+  // Suffixes to try (in order) when resolving the path of a imported file, like Node.js.
+  const RESOLVE_SUFFIXES = [ '', '.js', '.mjs', '/index.js', '/index.mjs' ];
+
+  // Matches a package import, with the package name (which may be scoped) and the optional subpath as groups.
+  const PACKAGE_IMPORT_REGEX = /^((?:@[^/]+\/)?[^/]+)(\/.+)?$/;
+
+  class Bundler {
+
+    /**
+     * The main API of this file. Bundles the import graph of the entry module into a single scope-hoisted IIFE.
+     * @public
+     *
+     * The returned modules are the modules of the bundle, in execution order, each with its name (the path relative to
+     * the root of the repository), absolute path, original size, code, and dependencies (module names).
+     *
+     * @param {String} entryFile - absolute path of the entry module
+     * @param {boolean} [generateSourceMaps] - indicates if a source map (with absolute sources) should be generated.
+     * @returns {Object} - { code: {string}, map: {Object|null}, originalSize: {number}, modules: {Object[]} }
+     */
+    static bundle( entryFile, generateSourceMaps = false ) {
+      Util.assert( grunt.file.isFile( entryFile ), `esm entry file not found: ${ entryFile }` );
+
+      const modules = this.loadModules( entryFile );
+      const modulesByPath = new Map( modules.map( module => [ module.path, module ] ) );
+
+      // Top-level names can't shadow the globals that any module references. Renamed names also can't be any name
+      // that is used in the modules (which is a superset of the globals), so that they don't shadow anything.
+      const claimedNames = new Set( _.flatMap( modules, module => Object.keys( module.programPath.scope.globals ) ) );
+      const usedNames = new Set( _.flatMap( modules, module => [ ...module.names ] ) );
+      const getUniqueName = name => {
+        let uniqueName = name;
+        for ( let index = 1; claimedNames.has( uniqueName ) || uniqueName !== name && usedNames.has( uniqueName );
+              index++ ) {
+          uniqueName = `${ name }$${ index }`;
+        }
+        claimedNames.add( uniqueName );
+        return uniqueName;
+      };
+
+      // Hoist the top-level names of every module into the single scope of the bundle.
+      modules.forEach( module => {
+        Object.keys( module.programPath.scope.bindings ).forEach( name => {
+          if ( module.programPath.scope.bindings[ name ].kind === 'module' ) return; // imports are replaced below
+          const uniqueName = getUniqueName( name );
+          if ( uniqueName !== name ) module.programPath.scope.rename( name, uniqueName );
+          module.localNames[ name ] = uniqueName;
+        } );
+      } );
+
+      // Maps each module that is imported as a namespace to the name of its namespace object.
+      const namespaceNames = new Map();
+
+      // Resolves the binding name (in the bundle) of a export of a module, following re-exports. Returns null if the
+      // module doesn't export the name and there is no importer to report.
+      const resolveExport = ( module, exportName, importer, visited = new Set() ) => {
+        if ( exportName === '*' ) {
+          if ( !namespaceNames.has( module ) ) {
+            const namespaceName = `${ _.camelCase( path.parse( module.path ).name ) }Namespace`;
+            namespaceNames.set( module, getUniqueName( namespaceName ) );
+          }
+          return namespaceNames.get( module );
+        }
+
+        const exported = module.exports.get( exportName );
+        if ( exported && exported.local ) {
+          const importBinding = module.imports.get( exported.local );
+          return importBinding ? resolveExport( modulesByPath.get( importBinding.source ), importBinding.name, module )
+            : module.localNames[ exported.local ];
+        }
+        if ( exported ) return resolveExport( modulesByPath.get( exported.source ), exported.name, module );
+
+        // Search the modules that the module re-exports everything from (except their default export).
+        if ( exportName !== 'default' && !visited.has( module ) ) {
+          visited.add( module );
+          for ( const source of module.starExports ) {
+            const name = resolveExport( modulesByPath.get( source ), exportName, null, visited );
+            if ( name ) return name;
+          }
+        }
+        if ( !importer ) return null;
+        throw new Error( `${ importer.name } imports "${ exportName }" from ${ module.name }, which doesn't `
+          + 'export it.' );
+      };
+
+      // Replace the references to imported bindings with the binding of the exporting module. Bindings of inner scopes
+      // that would shadow the binding are renamed first.
+      modules.forEach( module => {
+        module.imports.forEach( ( { source, name }, localName ) => {
+          const resolvedName = resolveExport( modulesByPath.get( source ), name, module );
+
+          module.programPath.scope.getBinding( localName ).referencePaths.forEach( referencePath => {
+            const shadowingBinding = referencePath.scope.getBinding( resolvedName );
+            if ( shadowingBinding && shadowingBinding.scope !== module.programPath.scope ) {
+              shadowingBinding.scope.rename( resolvedName );
+            }
+            referencePath.node.name = resolvedName;
+          } );
+        } );
+      } );
+
+      // Create the namespace objects, which are declared first so that they exist before any module is executed. Their
+      // getters may import more namespaces (export * as foo), which are added while iterating.
+      const body = [];
+      namespaceNames.forEach( ( namespaceName, module ) => {
+        const exportNames = [ ...this.getExportNames( module, modulesByPath ) ].sort();
+        body.push( this.createNamespace( namespaceName, exportNames.map( exportName =>
+          [ exportName, resolveExport( module, exportName, module ) ] ) ) );
+      } );
+
+      // Concatenate the modules without their import and export declarations, keeping the exported declarations.
+      modules.forEach( module => {
+        module.programPath.node.body.forEach( statement => {
+          if ( types.isImportDeclaration( statement ) || types.isExportAllDeclaration( statement ) ) return;
+          if ( !types.isExportNamedDeclaration( statement ) ) body.push( statement );
+          else if ( statement.declaration ) body.push( statement.declaration );
+        } );
+      } );
+
+      const iife = types.expressionStatement( types.callExpression( types.functionExpression( null, [],
+        types.blockStatement( body, [ types.directive( types.directiveLiteral( 'use strict' ) ) ] ) ), [] ) );
+
+      const entryModule = modulesByPath.get( entryFile );
+      const result = babel.transformFromAstSync( types.file( types.program( [ iife ] ) ), entryModule.contents, {
+        babelrc: false,
+        configFile: false,
+        compact: false,
+        sourceMaps: generateSourceMaps,
+        sourceFileName: entryFile
+      } );
+
+      if ( result.map ) {
+        result.map.sourcesContent = result.map.sources.map( source =>
+          modulesByPath.has( source ) ? modulesByPath.get( source ).contents : null );
+      }
+      return {
+        code: result.code,
+        map: result.map || null,
+        originalSize: _.sumBy( modules, module => module.originalSize ),
+        modules: modules.map( module => ( {
+          name: module.name,
+          path: module.path,
+          originalSize: module.originalSize,
+          code: module.contents,
+          dependencies: _.uniq( module.dependencies ).map( dependency => modulesByPath.get( dependency ).name )
+        } ) )
+      };
+    }
+
+    /**
+     * Loads the modules of the import graph of the entry module, in execution order (a module is executed after its
+     * dependencies, unless there is a cycle).
+     * @private
+     *
+     * Each module is parsed and analyzed, with its imports (mapping the local name of each imported binding to the
+     * absolute path of its module and the imported name, or '*' for namespaces), exports (mapping each exported name to
+     * either the local name or the absolute path of the module and name that is re-exported), the absolute paths of
+     * the modules that it re-exports everything from, and every name that it uses.
+     *
+     * @param {String} entryFile - absolute path of the entry module
+     * @returns {Object[]} - the modules
+     */
+    static loadModules( entryFile ) {
+      const modules = [];
+      const loadedPaths = new Set();
+
+      const loadModule = filePath => {
+        loadedPaths.add( filePath );
+
+        const module = this.parseModule( filePath );
+        module.dependencies.forEach( dependency => {
+          if ( !loadedPaths.has( dependency ) ) loadModule( dependency );
+        } );
+        modules.push( module );
+      };
+      loadModule( entryFile );
+      return modules;
+    }
+
+    /**
+     * Parses and analyzes a module. See loadModules().
+     * @private
+     *
+     * @param {String} filePath - absolute path of the module
+     * @returns {Object} - the module
+     */
+    static parseModule( filePath ) {
+      const name = Util.toPosixPath( path.relative( Util.REPO_PATH, filePath ) );
+      const contents = grunt.file.read( filePath );
+      const ast = babel.parseSync( contents, {
+        babelrc: false,
+        configFile: false,
+        filename: filePath,
+        sourceType: 'module',
+        parserOpts: { sourceFilename: filePath }
+      } );
+
+      const module = {
+        name,
+        path: filePath,
+        contents,
+        originalSize: fs.statSync( filePath ).size,
+        programPath: null,
+        imports: new Map(),
+        exports: new Map(),
+        starExports: [],
+        dependencies: [],
+        localNames: {},
+        names: new Set()
+      };
+
+      babel.traverse( ast, {
+        Program( programPath ) { module.programPath = programPath; },
+        Identifier( identifierPath ) { module.names.add( identifierPath.node.name ); },
+        Import( importPath ) {
+          throw importPath.buildCodeFrameError( `${ name }: dynamic imports aren't supported by esm builds.` );
+        },
+        MetaProperty( metaPropertyPath ) {
+          if ( metaPropertyPath.node.meta.name !== 'import' ) return;
+          throw metaPropertyPath.buildCodeFrameError( `${ name }: import.meta isn't supported by esm builds.` );
+        }
+      } );
+      const programPath = module.programPath;
+
+      // Convert default exports to a declaration and a export specifier, so that every export has a local name.
+      programPath.get( 'body' ).forEach( statementPath => {
+        if ( !statementPath.isExportDefaultDeclaration() ) return;
+
+        const declaration = statementPath.node.declaration;
+        let id = declaration.id;
+        if ( !id ) {
+          id = programPath.scope.generateUidIdentifier( 'default' );
+          if ( types.isFunctionDeclaration( declaration ) || types.isClassDeclaration( declaration ) ) {
+            declaration.id = id;
+          }
+        }
+        const specifier = types.exportNamedDeclaration( null, [ types.exportSpecifier( types.cloneNode( id ),
+          types.identifier( 'default' ) ) ] );
+        statementPath.replaceWithMultiple( [
+          types.isDeclaration( declaration ) ? declaration :
+            types.variableDeclaration( 'var', [ types.variableDeclarator( id, declaration ) ] ),
+          specifier
+        ] );
+      } );
+      programPath.scope.crawl();
+
+      const isCommonJS = !programPath.node.body.some( statement => types.isImportOrExportDeclaration( statement ) )
+                         && [ 'module', 'exports', 'require' ].some( global => programPath.scope.globals[ global ] );
+      if ( isCommonJS ) {
+        throw new Error( `${ name } is a CommonJS module, which can't be bundled by esm builds. Only ES modules `
+          + '(with import and export statements) are supported.' );
+      }
+
+      const resolve = source => {
+        const dependency = this.resolve( source.value, filePath );
+        module.dependencies.push( dependency );
+        return dependency;
+      };
+
+      programPath.node.body.forEach( statement => {
+        if ( types.isImportDeclaration( statement ) ) {
+          const source = resolve( statement.source );
+
+          statement.specifiers.forEach( specifier => {
+            module.imports.set( specifier.local.name, {
+              source,
+              name: types.isImportNamespaceSpecifier( specifier ) ? '*' :
+                    types.isImportDefaultSpecifier( specifier ) ? 'default' : this.getExportName( specifier.imported )
+            } );
+          } );
+        }
+        else if ( types.isExportAllDeclaration( statement ) ) {
+          module.starExports.push( resolve( statement.source ) );
+        }
+        else if ( types.isExportNamedDeclaration( statement ) ) {
+          const source = statement.source && resolve( statement.source );
+
+          statement.specifiers.forEach( specifier => {
+            const exportName = this.getExportName( specifier.exported );
+
+            if ( types.isExportNamespaceSpecifier( specifier ) ) {
+              module.exports.set( exportName, { source, name: '*' } );
+            }
+            else if ( source ) {
+              module.exports.set( exportName, { source, name: this.getExportName( specifier.local ) } );
+            }
+            else {
+              module.exports.set( exportName, { local: specifier.local.name } );
+            }
+          } );
+          if ( statement.declaration ) {
+            Object.keys( types.getOuterBindingIdentifiers( statement.declaration ) ).forEach( localName => {
+              module.exports.set( localName, { local: localName } );
+            } );
+          }
+        }
+      } );
+      return module;
+    }
+
+    /**
+     * Creates the declaration of a namespace object, which has a getter for each export of its module (so that the
+     * namespace reflects live bindings).
+     * @private
+     *
+     * @param {String} namespaceName - the name of the namespace object in the bundle
+     * @param {Array[]} exports - the exported name and binding name (in the bundle) of each export of the module
+     * @returns {Object} - the variable declaration node
+     */
+    static createNamespace( namespaceName, exports ) {
+      const getters = exports.map( ( [ exportName, bindingName ] ) => types.objectMethod( 'get',
+        types.stringLiteral( exportName ), [], types.blockStatement( [
+          types.returnStatement( types.identifier( bindingName ) )
+        ] ) ) );
+
+      return types.variableDeclaration( 'var', [
+        types.variableDeclarator( types.identifier( namespaceName ), types.objectExpression( getters ) )
+      ] );
+    }
+
+    /**
+     * Gets the names of every export of a module, including the exports of the modules that it re-exports everything
+     * from (except their default exports).
+     * @private
+     *
+     * @param {Object} module - see loadModules()
+     * @param {Map} modulesByPath - maps the absolute path of each module to the module
+     * @param {Set.<Object>} [visited] - the modules that were already visited, for cycles
+     * @returns {Set.<String>}
+     */
+    static getExportNames( module, modulesByPath, visited = new Set() ) {
+      const exportNames = new Set( module.exports.keys() );
+      visited.add( module );
+
+      module.starExports.forEach( source => {
+        const starModule = modulesByPath.get( source );
+        if ( !starModule || visited.has( starModule ) ) return;
+        this.getExportNames( starModule, modulesByPath, visited ).forEach( exportName => {
+          if ( exportName !== 'default' ) exportNames.add( exportName );
+        } );
+      } );
+      return exportNames;
+    }
+
+    /**
+     * Gets the name of a imported or exported binding of a specifier, which is either a identifier or (for names that
+     * aren't valid identifiers) a string literal.
+     * @private
+     *
+     * @param {Object} node - the identifier or string literal node
+     * @returns {String}
+     */
+    static getExportName( node ) { return types.isStringLiteral( node ) ? node.value : node.name; }
+
+    /**
+     * Resolves the absolute path of a imported module. Relative imports are resolved from the directory of the
+     * importing module, and package imports are resolved from the closest node_modules directory that has the package
+     * (like Node.js). The entry of a package is the module field of its package.json, then the main field, then
+     * index.js.
+     * @public
+     *
+     * @param {String} specifier - the imported path, for instance './foo.js' or 'lodash-es'
+     * @param {String} importer - absolute path of the importing module
+     * @returns {String} - absolute path of the imported module
+     */
+    static resolve( specifier, importer ) {
+      const directory = path.dirname( importer );
+      const importerName = Util.toPosixPath( path.relative( Util.REPO_PATH, importer ) );
+      let filePath = null;
+
+      if ( specifier.startsWith( '.' ) || specifier.startsWith( '/' ) ) {
+        filePath = this.resolveFile( path.resolve( directory, specifier ) );
+      }
+      else {
+        const [ , packageName, subpath ] = specifier.match( PACKAGE_IMPORT_REGEX ) || [];
+        let packageDirectory = null;
+
+        for ( let parent = directory; packageName && !packageDirectory; parent = path.dirname( parent ) ) {
+          if ( grunt.file.isDir( parent, 'node_modules', packageName ) ) {
+            packageDirectory = path.join( parent, 'node_modules', packageName );
+          }
+          if ( parent === path.dirname( parent ) ) break;
+        }
+
+        if ( packageDirectory && subpath ) filePath = this.resolveFile( path.join( packageDirectory, subpath ) );
+        else if ( packageDirectory ) {
+          const packageJSON = grunt.file.isFile( packageDirectory, 'package.json' ) ?
+            grunt.file.readJSON( path.join( packageDirectory, 'package.json' ) ) : {};
+          const packageEntry = packageJSON.module || packageJSON.main || 'index.js';
+          filePath = this.resolveFile( path.join( packageDirectory, packageEntry ) );
+        }
+      }
+
+      if ( !filePath ) throw new Error( `Cannot resolve "${ specifier }" imported by ${ importerName }.` );
+      if ( ![ 'js', 'mjs' ].includes( Util.getExtension( filePath ) ) ) {
+        throw new Error( `${ importerName } imports "${ specifier }", but only JavaScript modules can be imported.` );
+      }
+      return filePath;
+    }
+
+    /**
+     * Resolves a file path, trying each suffix of RESOLVE_SUFFIXES.
+     * @private
+     *
+     * @param {String} filePath - absolute path of the file, possibly without its extension
+     * @returns {String|null} - absolute path of the file, or null if it wasn't found
+     */
+    static resolveFile( filePath ) {
+      const suffix = RESOLVE_SUFFIXES.find( suffix => grunt.file.isFile( filePath + suffix ) );
+      return suffix === undefined ? null : filePath + suffix;
+    }
+  }
+
+  return Bundler;
+} )();
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Persistent on-disk cache of grunt-config, in the node_modules/.cache/grunt-config directory of the root repository
+ * that invoked the command (see https://github.com/avajs/find-cache-dir for the convention).
+ *
+ * Entries are grouped into namespaces (subdirectories) and keyed by a content hash of everything that determines the
+ * cached value (see getKey()), so that stale entries are never read. Keys also include the version of grunt-config,
+ * since a new version may produce different values.
+ *
+ * The cache is best-effort: failing to read or write an entry (for instance, if node_modules is read-only) is the same
+ * as a cache miss.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const crypto = require( 'crypto' );
+  const fs = require( 'fs' );
+  const grunt = require( 'grunt' );
+  const path = require( 'path' );
+  const Util = require( './Util' );
+
+  // constants
+  const GRUNT_CONFIG_VERSION = grunt.file.readJSON( path.join( Util.GRUNT_CONFIG_PATH, 'package.json' ) ).version;
+
+  const Cache = {
+
+    // @public {String} - absolute path to the cache directory.
+    DIRECTORY: path.join( Util.REPO_PATH, 'node_modules', '.cache', 'grunt-config' ),
+
+    /**
+     * Creates a cache key from the given values, which is a SHA-256 hash of the values (serialized to JSON) and the
+     * version of grunt-config.
+     * @public
+     *
+     * @param {...*} values - everything that determines the cached value
+     * @returns {String} - the key, in hexadecimal
+     */
+    getKey( ...values ) {
+      const serialized = JSON.stringify( [ GRUNT_CONFIG_VERSION, ...values ] );
+      return crypto.createHash( 'sha256' ).update( serialized ).digest( 'hex' );
+    },
+
+    /**
+     * Reads a cache entry.
+     * @public
+     *
+     * @param {String} namespace - the subdirectory of the entry, for instance 'transpile'
+     * @param {String} key - the key of the entry, see getKey()
+     * @returns {String|null} - the cached value, or null if the entry doesn't exist
+     */
+    read( namespace, key ) {
+      try { return fs.readFileSync( Cache.getPath( namespace, key ), 'utf8' ); }
+      catch( error ) { return null; }
+    },
+
+    /**
+     * Writes a cache entry.
+     * @public
+     *
+     * @param {String} namespace - the subdirectory of the entry, for instance 'transpile'
+     * @param {String} key - the key of the entry, see getKey()
+     * @param {String} value - the value to cache
+     */
+    write( namespace, key, value ) {
+      try { grunt.file.write( Cache.getPath( namespace, key ), value ); }
+      catch( error ) { grunt.verbose.writeln( `Verbose: failed to write to the cache: ${ error.message }` ); }
+    },
+
+    /**
+     * Gets the absolute path of the file of a cache entry.
+     * @private
+     *
+     * @param {String} namespace
+     * @param {String} key
+     * @returns {String}
+     */
+    getPath( namespace, key ) {
+      Util.assert( /^[\w-]+$/.test( namespace ), `invalid namespace: ${ namespace }` );
+      Util.assert( /^[\w-]+$/.test( key ), `invalid key: ${ key }` );
+      return path.join( Cache.DIRECTORY, namespace, key );
+    }
+  };
+
+  return Cache;
+} )();
\ No newline at end of file
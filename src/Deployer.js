@@ -0,0 +1,216 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Deploys the build directory of a project to a git branch (like the gh-pages branch of GitHub Pages), used by
+ * `grunt deploy-gh-pages`. See https://docs.github.com/en/pages.
+ *
+ * The project is built first (see ./Builder.js). The contents of the build directory then replace the contents of the
+ * branch in a temporary git worktree (see https://git-scm.com/docs/git-worktree), so that the working directory of
+ * the repository isn't touched. The deploy commit is created on top of the branch of the remote (or as the first
+ * commit of the branch if the remote doesn't have it yet), with a commit message that includes the source commit of
+ * the build, and then pushed to the remote. A .nojekyll file is added, so that GitHub Pages serves the files as is.
+ *
+ * The branch and remote are configured with the ghPages option of the buildrc file. For instance:
+ *
+ *   "ghPages": { "branch": "gh-pages", "remote": "origin" }
+ *
+ * Since only plain git commands are used, the remote can be any git remote, url, or path (like a local bare
+ * repository). A dry run shows the files that the deploy would change, without committing or pushing.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const Builder = require( './Builder' );
+  const BuildManifest = require( './BuildManifest' );
+  const chalk = require( 'chalk' );
+  const fs = require( 'fs' );
+  const Generator = require( './Generator' );
+  const grunt = require( 'grunt' );
+  const os = require( 'os' );
+  const path = require( 'path' );
+  const shell = require( 'shelljs' ); // eslint-disable-line require-statement-match
+  const UserConfig = require( './UserConfig' );
+  const Util = require( './Util' );
+
+  // constants
+  const DEFAULT_GH_PAGES_OPTIONS = {
+    branch: 'gh-pages',
+    remote: 'origin'
+  };
+
+  // The hash of the empty git tree, to compare the first deploy of a branch with.
+  const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+  // Quotes a argument of a git command, so that arguments with spaces (like paths) are passed as one argument.
+  const quote = argument => JSON.stringify( argument );
+
+  class Deployer {
+
+    /**
+     * The main API of this file. Builds the project and deploys its build directory to the branch of the remote.
+     * @public
+     *
+     * @param {Object} [options] - Object literal with:
+     *                             - {String} [target] - the name of the build target to build and deploy. Required if
+     *                                                   the buildrc file declares multiple targets.
+     *                             - {boolean} [dryRun] - indicates if Deployer should only log the files that would
+     *                                                    change, without committing or pushing.
+     * @returns {Promise} - resolves when the build directory has been deployed.
+     */
+    static async deploy( { target, dryRun = false } = {} ) {
+      Util.assert( typeof dryRun === 'boolean', `invalid dryRun: ${ dryRun }` );
+      Util.assert( shell.which( 'git' ), 'git must be installed.' );
+
+      const buildConfigurations = Builder.getBuildConfigurations( target );
+      Util.assert( buildConfigurations.length === 1, 'the buildrc.json file declares multiple targets. Run '
+        + chalk`{cyan grunt deploy-gh-pages:<target>} to deploy the build directory of one of them.` );
+
+      const { branch, remote } = this.getOptions();
+      const { buildDirectory, buildInfo } = buildConfigurations[ 0 ];
+      Util.assert( buildInfo.commit, 'the repository must have a commit to deploy.' );
+
+      // The commit of the branch of the remote, which is the parent of the deploy commit (null if the remote doesn't
+      // have the branch yet). Fetched before building, so that a unreachable remote fails right away.
+      const parent = this.fetchBranch( remote, branch );
+
+      await Builder.build( { target: buildConfigurations[ 0 ].target || undefined } );
+      Util.assert( grunt.file.isDir( buildDirectory ), `the build directory wasn't built: ${ buildDirectory }` );
+      Util.logln( chalk`\n\nDeploying {cyan ${ path.relative( Util.REPO_PATH, buildDirectory ) || '.' }} to `
+        + chalk`{cyan ${ branch }} of {cyan ${ remote }}${ dryRun ? ' (dry run)' : '' }...` );
+
+      const worktree = fs.mkdtempSync( path.join( os.tmpdir(), 'grunt-config-deploy-' ) );
+      const messageFile = `${ worktree }-message.txt`;
+      let deployError = null;
+      try {
+
+        // Prune the worktrees of previous deploys that weren't removed (like if the process was stopped).
+        this.git( 'worktree prune' );
+        this.git( `worktree add --detach --no-checkout ${ quote( worktree ) } ${ parent || 'HEAD' }` );
+
+        // Replace the contents of the branch with the build directory. The index of a worktree that isn't checked out
+        // is empty, so adding every file stages exactly the files of the build directory.
+        Util.walkDirectory( buildDirectory, ( filePath, relativePath ) => {
+          grunt.file.copy( filePath, path.join( worktree, relativePath ) );
+        }, [] );
+        grunt.file.write( path.join( worktree, '.nojekyll' ), '' );
+        this.git( 'add --all --force .', worktree );
+
+        // The build manifest changes with every build (see BuildManifest.getBuildInfo()), so it is only deployed if
+        // other files changed.
+        const manifestFile = Util.toPosixPath( path.relative( worktree, BuildManifest.getPath( worktree ) ) );
+        const changes = this.git( `diff --cached --stat ${ parent || EMPTY_TREE } -- . `
+          + quote( `:(exclude)${ manifestFile }` ), worktree );
+        if ( !changes ) {
+          Util.logln( chalk`\nNothing to deploy, {cyan ${ branch }} is up to date.` );
+          return;
+        }
+        Util.logln( `\n${ changes }` );
+        if ( dryRun ) {
+          Util.logln( chalk`\nDry run, nothing was committed or pushed.` );
+          return;
+        }
+
+        // Create the deploy commit without a local branch, and push it to the branch of the remote.
+        grunt.file.write( messageFile, this.getCommitMessage( buildInfo ) );
+        const tree = this.git( 'write-tree', worktree );
+        const parentOption = parent ? ` -p ${ parent }` : '';
+        const commit = this.git( `commit-tree ${ tree }${ parentOption } -F ${ quote( messageFile ) }`, worktree );
+
+        this.git( `push --quiet ${ quote( remote ) } ${ commit }:refs/heads/${ branch }` );
+        Util.logln( chalk`\nDeployed {yellow ${ commit.slice( 0, 8 ) }} to {cyan ${ branch }} of {cyan ${ remote }}.` );
+      }
+      catch( error ) {
+        deployError = error;
+      }
+      finally {
+
+        // Clean up even if the deploy failed, without failing again (the worktree may not have been added).
+        shell.exec( `git worktree remove --force ${ quote( worktree ) }`, { cwd: Util.REPO_PATH, silent: true } );
+        [ worktree, messageFile ].forEach( filePath => {
+          if ( grunt.file.exists( filePath ) ) grunt.file.delete( filePath, { force: true } );
+        } );
+      }
+
+      // Fail after cleaning up, since Util.throw exits the process.
+      if ( deployError ) Util.throw( `deploy failed: ${ deployError.message }` );
+    }
+
+    /**
+     * Gets the ghPages options of the buildrc file, with the defaults (see DEFAULT_GH_PAGES_OPTIONS) for options that
+     * weren't provided.
+     * @private
+     *
+     * @returns {Object} - { branch: {String}, remote: {String} }
+     */
+    static getOptions() {
+      const ghPages = UserConfig.BUILD_RC.ghPages || {};
+      Util.assert( Object.getPrototypeOf( ghPages ) === Object.prototype,
+        'the buildrc.json ghPages key must map to a object.' );
+
+      const options = { ...DEFAULT_GH_PAGES_OPTIONS, ...ghPages };
+      Util.assert( typeof options.branch === 'string' && shell.exec( 'git check-ref-format --branch '
+        + quote( options.branch ), { cwd: Util.REPO_PATH, silent: true } ).code === 0,
+        `the buildrc.json ghPages.branch key must be a valid branch name: ${ options.branch }` );
+      Util.assert( typeof options.remote === 'string' && options.remote.trim(),
+        'the buildrc.json ghPages.remote key must be a non-empty string.' );
+      return options;
+    }
+
+    /**
+     * Fetches the branch of the remote, so that the deploy commit can be created on top of it.
+     * @private
+     *
+     * @param {String} remote - a git remote, url, or path
+     * @param {String} branch
+     * @returns {String|null} - the commit of the branch of the remote, or null if the remote doesn't have the branch
+     */
+    static fetchBranch( remote, branch ) {
+      const { code, stdout, stderr } = shell.exec( `git ls-remote --exit-code --heads ${ quote( remote ) } `
+        + quote( branch ), { cwd: Util.REPO_PATH, silent: true } );
+
+      // ls-remote exits with code 2 if the remote doesn't have the branch.
+      if ( code === 2 ) return null;
+      Util.assert( code === 0, `failed to read the branches of ${ remote }:\n${ stderr.trim() }` );
+
+      const commit = stdout.split( /\s/ )[ 0 ];
+      this.git( `fetch --quiet ${ quote( remote ) } ${ quote( `refs/heads/${ branch }` ) }` );
+      return commit;
+    }
+
+    /**
+     * Gets the message of the deploy commit, which includes the version and source commit of the build. See
+     * BuildManifest.getBuildInfo().
+     * @private
+     *
+     * @param {Object} buildInfo - see BuildManifest.getBuildInfo()
+     * @returns {string}
+     */
+    static getCommitMessage( buildInfo ) {
+      const repoName = Generator.getValue( 'REPO_NAME' );
+      return `Deploy ${ repoName } ${ buildInfo.version } from ${ buildInfo.commit.slice( 0, 8 ) }`
+        + `\n\nSource commit: ${ buildInfo.commit }${ buildInfo.dirty ? ' (with uncommitted changes)' : '' }`
+        + `\nBuilt at: ${ buildInfo.timestamp }\n`;
+    }
+
+    /**
+     * Runs a git command, throwing a error if it fails. The error is thrown (instead of failing with Util.assert, which
+     * exits the process) so that deploy() can clean up its worktree first.
+     * @private
+     *
+     * @param {string} command - the git command, without 'git'
+     * @param {String} [cwd] - absolute path of the directory to run the command in. Defaults to the repository.
+     * @returns {string} - the output of the command, without trailing whitespace
+     */
+    static git( command, cwd = Util.REPO_PATH ) {
+      const { code, stdout, stderr } = shell.exec( `git ${ command }`, { cwd, silent: true } );
+      if ( code !== 0 ) throw new Error( `git ${ command } failed:\n${ stderr.trim() }` );
+      return stdout.trimEnd();
+    }
+  }
+
+  return Deployer;
+} )();
\ No newline at end of file
@@ -60,7 +60,8 @@ module.exports = ( () => {
     REPO_TITLE: { path: [ 'name' ], parse: val => Util.toTitleCase( val ) },
     COPYRIGHT_YEARS: null,
     BUILD_HEAD: null, // See Builder.js for more documentation.
-    BUILD_BODY: null // See Builder.js for more documentation.
+    BUILD_BODY: null, // See Builder.js for more documentation.
+    BUILD_REPORT: null // See Reporter.js for more documentation.
   };
 
   // Object literal that keeps track of the replacement values. This helps performance and ensures that replacement
@@ -1,7 +1,20 @@
 // Copyright © 2020 Brandon Li. All rights reserved.
+/* eslint bad-text: 0 */
 
 /**
- * Utility class for referencing polyfills for building.
+ * Registry of vendored polyfills for building, along with the usage analysis that determines which of them a bundle
+ * needs. See ./Builder.js.
+ *
+ * Each polyfill of the registry is tagged with the APIs that it provides and a browserslist query of the browsers
+ * that need it (the browsers that don't support the APIs natively). APIs are either:
+ *   - a global, for instance 'Promise'
+ *   - a static member of a global, for instance 'Object.assign'
+ *   - a prototype method, for instance '.find'. Since the type of an object isn't known statically, any member access
+ *     of the method name counts as a usage.
+ *
+ * A polyfill is needed if the code uses one of the APIs that it provides and one of the browser targets needs it.
+ * The polyfill code is written in ES5 and only defines the API if it doesn't already exist. Globals are defined on the
+ * global object of the environment (not window, which doesn't exist in Web Workers).
  *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
@@ -9,50 +22,281 @@
 module.exports = ( () => {
   'use strict';
 
+  // modules
+  const babel = require( '@babel/core' ); // eslint-disable-line require-statement-match
+  const browserslist = require( 'browserslist' );
+
+  // constants
+  const LOGGED_BROWSERS = 3; // the number of browsers logged in the reason a polyfill is needed.
+
   const Polyfill = {
 
-    string: {
-      includes: `if ( !String.prototype.includes ) {
-                    String.prototype.includes = function( search, start ) {
-                      if ( typeof start !== 'number' ) start = 0;
+    // @public {Object[]} - the vendored polyfills, each with a name, the APIs that it provides, a browserslist query of
+    //                      the browsers that need it, and its code. In the order they are injected.
+    POLYFILLS: [
+      {
+        name: 'Promise',
+        provides: [ 'Promise' ],
+        browsers: 'ie <= 11, chrome < 32, firefox < 29, safari < 8, ios_saf < 8, opera < 19, android < 4.4.3',
+        code: `if ( typeof Promise === 'undefined' ) {
+                 ( typeof globalThis !== 'undefined' ? globalThis :
+                   typeof self !== 'undefined' ? self : window ).Promise = ( function() {
+                   var asap = function( callback ) { setTimeout( callback, 0 ); };
+
+                   function Promise( executor ) {
+                     if ( typeof executor !== 'function' ) throw new TypeError( 'executor must be a function' );
+                     var self = this;
+                     self._state = 'pending';
+                     self._value = undefined;
+                     self._handlers = [];
+                     var settled = false;
+                     try {
+                       executor( function( value ) {
+                         if ( !settled ) { settled = true; resolvePromise( self, value ); }
+                       }, function( reason ) {
+                         if ( !settled ) { settled = true; settle( self, 'rejected', reason ); }
+                       } );
+                     }
+                     catch( error ) {
+                       if ( !settled ) { settled = true; settle( self, 'rejected', error ); }
+                     }
+                   }
+
+                   function settle( promise, state, value ) {
+                     if ( promise._state !== 'pending' ) return;
+                     promise._state = state;
+                     promise._value = value;
+                     promise._handlers.forEach( function( handler ) { handle( promise, handler ); } );
+                     promise._handlers = null;
+                   }
+
+                   function resolvePromise( promise, value ) {
+                     if ( value === promise ) return settle( promise, 'rejected', new TypeError( 'cyclic promise' ) );
+                     if ( value && ( typeof value === 'object' || typeof value === 'function' ) ) {
+                       var called = false;
+                       try {
+                         var then = value.then;
+                         if ( typeof then === 'function' ) {
+                           return then.call( value, function( result ) {
+                             if ( !called ) { called = true; resolvePromise( promise, result ); }
+                           }, function( reason ) {
+                             if ( !called ) { called = true; settle( promise, 'rejected', reason ); }
+                           } );
+                         }
+                       }
+                       catch( error ) {
+                         if ( !called ) { called = true; settle( promise, 'rejected', error ); }
+                         return;
+                       }
+                     }
+                     settle( promise, 'fulfilled', value );
+                   }
+
+                   function handle( promise, handler ) {
+                     if ( promise._state === 'pending' ) return promise._handlers.push( handler );
+                     asap( function() {
+                       var callback = promise._state === 'fulfilled' ? handler.onFulfilled : handler.onRejected;
+                       if ( typeof callback !== 'function' ) {
+                         return promise._state === 'fulfilled' ?
+                           resolvePromise( handler.promise, promise._value ) :
+                           settle( handler.promise, 'rejected', promise._value );
+                       }
+                       try { resolvePromise( handler.promise, callback( promise._value ) ); }
+                       catch( error ) { settle( handler.promise, 'rejected', error ); }
+                     } );
+                   }
 
-                      if ( start + search.length > this.length ) return false;
-                      else return this.indexOf( search, start ) !== -1;
-                    };
-                  }`
+                   Promise.prototype.then = function( onFulfilled, onRejected ) {
+                     var promise = new Promise( function() {} );
+                     handle( this, { onFulfilled: onFulfilled, onRejected: onRejected, promise: promise } );
+                     return promise;
+                   };
+                   Promise.prototype[ 'catch' ] = function( onRejected ) { return this.then( null, onRejected ); };
+                   Promise.resolve = function( value ) {
+                     if ( value instanceof Promise ) return value;
+                     return new Promise( function( resolve ) { resolve( value ); } );
+                   };
+                   Promise.reject = function( reason ) {
+                     return new Promise( function( resolve, reject ) { reject( reason ); } );
+                   };
+                   Promise.all = function( values ) {
+                     return new Promise( function( resolve, reject ) {
+                       var results = [];
+                       var remaining = values.length;
+                       if ( !remaining ) return resolve( results );
+                       values.forEach( function( value, index ) {
+                         Promise.resolve( value ).then( function( result ) {
+                           results[ index ] = result;
+                           if ( --remaining === 0 ) resolve( results );
+                         }, reject );
+                       } );
+                     } );
+                   };
+                   Promise.race = function( values ) {
+                     return new Promise( function( resolve, reject ) {
+                       values.forEach( function( value ) { Promise.resolve( value ).then( resolve, reject ); } );
+                     } );
+                   };
+                   return Promise;
+                 } )();
+               }`
+      },
+      {
+        name: 'Object.assign',
+        provides: [ 'Object.assign' ],
+        browsers: 'ie <= 11, chrome < 45, firefox < 34, safari < 9, ios_saf < 9, opera < 32, android < 45',
+
+        // From https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/assign
+        code: `if ( typeof Object.assign !== 'function' ) {
+                 Object.defineProperty( Object, 'assign', {
+                   value: function( target ) {
+                     if ( target === null || target === undefined ) throw new TypeError( 'Cannot convert to object' );
+                     var to = Object( target );
+                     for ( var index = 1; index < arguments.length; index++ ) {
+                       var source = arguments[ index ];
+                       if ( source !== null && source !== undefined ) {
+                         for ( var key in source ) {
+                           if ( Object.prototype.hasOwnProperty.call( source, key ) ) to[ key ] = source[ key ];
+                         }
+                       }
+                     }
+                     return to;
+                   },
+                   writable: true,
+                   configurable: true
+                 } );
+               }`
+      },
+      {
+        name: 'Array.from',
+        provides: [ 'Array.from' ],
+        browsers: 'ie <= 11, chrome < 45, firefox < 32, safari < 9, ios_saf < 9, opera < 32, android < 45',
+        code: `if ( !Array.from ) {
+                 Array.from = function( items, mapFunction, thisArg ) {
+                   if ( items === null || items === undefined ) throw new TypeError( 'items must be iterable' );
+                   var values = [];
+                   if ( typeof Symbol === 'function' && items[ Symbol.iterator ] ) {
+                     var iterator = items[ Symbol.iterator ]();
+                     for ( var step = iterator.next(); !step.done; step = iterator.next() ) values.push( step.value );
+                   }
+                   else {
+                     var object = Object( items );
+                     for ( var index = 0; index < object.length >>> 0; index++ ) values.push( object[ index ] );
+                   }
+                   return mapFunction ? values.map( mapFunction, thisArg ) : values;
+                 };
+               }`
+      },
+      {
+        name: 'String.prototype.includes',
+        provides: [ '.includes' ],
+        browsers: 'ie <= 11, chrome < 41, firefox < 40, safari < 9, ios_saf < 9, opera < 28, android < 41',
+        code: `if ( !String.prototype.includes ) {
+                 String.prototype.includes = function( search, start ) {
+                   if ( typeof start !== 'number' ) start = 0;
+
+                   if ( start + search.length > this.length ) return false;
+                   else return this.indexOf( search, start ) !== -1;
+                 };
+               }`
+      },
+      {
+        name: 'Array.prototype.includes',
+        provides: [ '.includes' ],
+        browsers: 'ie <= 11, edge < 14, chrome < 47, firefox < 43, safari < 9, ios_saf < 9, opera < 34, android < 47',
+        code: `if ( !Array.prototype.includes ) {
+                 Object.defineProperty( Array.prototype, 'includes', {
+                   enumerable: false,
+                   value: function( obj, start ) { return this.indexOf( obj, start ) !== -1; }
+                 } );
+               }`
+      },
+      {
+        name: 'Array.prototype.find',
+        provides: [ '.find' ],
+        browsers: 'ie <= 11, chrome < 45, firefox < 25, safari < 7.1, ios_saf < 8, opera < 32, android < 45',
+
+        // From https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find
+        code: `if ( !Array.prototype.find ) {
+                 Object.defineProperty( Array.prototype, 'find', {
+                   value: function( predicate ) {
+                     var o = Object( this );
+                     var len = o.length >>> 0;
+                     if ( typeof predicate !== 'function' ) throw TypeError( 'predicate must be a function' );
+                     var thisArg = arguments[ 1 ];
+                     var k = 0;
+                     while ( k < len ) {
+                       var kValue = o[ k ];
+                       if ( predicate.call( thisArg, kValue, k, o ) ) return kValue;
+                       k++;
+                     }
+                     return undefined;
+                   },
+                   configurable: true,
+                   writable: true
+                 } );
+               }`
+      }
+    ],
+
+    /**
+     * Gets the polyfills (of the registry) that the given code needs for the given browser targets, along with the
+     * reason each polyfill is needed.
+     * @public
+     *
+     * @param {string} code - the code to analyze (usually the optimized bundle)
+     * @param {String[]} targets - browserslist queries of the browsers to target
+     * @returns {Object[]} - each with the polyfill and the reason (string) it is needed, in the order of POLYFILLS
+     */
+    getNeededPolyfills( code, targets ) {
+      const usedAPIs = Polyfill.getUsedAPIs( code );
+      const targetedBrowsers = browserslist( targets );
+
+      return Polyfill.POLYFILLS.map( polyfill => {
+        const api = polyfill.provides.find( api => usedAPIs.has( api ) );
+        if ( !api ) return null;
+
+        const browsers = browserslist( polyfill.browsers ).filter( browser => targetedBrowsers.includes( browser ) );
+        if ( !browsers.length ) return null;
+
+        const loggedBrowsers = browsers.slice( 0, LOGGED_BROWSERS ).join( ', ' );
+        const moreBrowsers = browsers.length > LOGGED_BROWSERS ?
+          ` and ${ browsers.length - LOGGED_BROWSERS } more` : '';
+        return { polyfill, reason: `uses ${ api }, needed by ${ loggedBrowsers }${ moreBrowsers }` };
+      } ).filter( neededPolyfill => neededPolyfill );
     },
 
-    array: {
-      includes: `if ( !Array.prototype.includes ) {
-                   Object.defineProperty( Array.prototype, 'includes', {
-                     enumerable: false,
-                     value: function( obj, start ) { return this.indexOf( obj, start ) !== -1 }
-                   } );
-                 }`,
-
-      // From https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find
-      find: `if ( !Array.prototype.find ) {
-               Object.defineProperty( Array.prototype, 'find', {
-                value: function( predicate ) {
-                  var o = Object(this);
-                  var len = o.length >>> 0;
-                  if ( typeof predicate !== 'function' ) throw TypeError( 'predicate must be a function' );
-                  var thisArg = arguments[ 1 ];
-                  var k = 0;
-                  while ( k < len ) {
-                    var kValue = o[ k ];
-                    if (predicate.call( thisArg, kValue, k, o ) ) return kValue;
-                    k++;
-                  }
-                  return undefined;
-                },
-                configurable: true,
-                writable: true
-              } );
-            }`
+    /**
+     * Scans the AST of the given code for the APIs that it uses, in the format of the provides key of POLYFILLS.
+     * Globals are only counted if they aren't shadowed by a local declaration.
+     * @public
+     *
+     * @param {string} code
+     * @returns {Set.<String>} - the used APIs
+     */
+    getUsedAPIs( code ) {
+      const usedAPIs = new Set();
+      const ast = babel.parseSync( code, { babelrc: false, configFile: false, sourceType: 'script' } );
+
+      babel.traverse( ast, {
+        MemberExpression( path ) {
+          const node = path.node;
+          const property = !node.computed ? node.property.name :
+            node.property.type === 'StringLiteral' ? node.property.value : null;
+          if ( !property ) return;
 
+          usedAPIs.add( `.${ property }` );
+          if ( node.object.type === 'Identifier' && !path.scope.hasBinding( node.object.name, true ) ) {
+            usedAPIs.add( `${ node.object.name }.${ property }` );
+          }
+        },
+        ReferencedIdentifier( path ) {
+          if ( !path.scope.hasBinding( path.node.name, true ) ) usedAPIs.add( path.node.name );
+        }
+      } );
+      return usedAPIs;
     }
-  }
+  };
 
   return Polyfill;
 } )();
\ No newline at end of file
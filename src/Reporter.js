@@ -0,0 +1,119 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Bundle size reporter for requirejs and esm projects, used by `grunt build --report`. See ./Builder.js.
+ *
+ * The report records the raw (source), transpiled, and minified sizes (in bytes) of each module that r.js included in
+ * the optimized bundle, along with the modules that were pulled in transitively from the mainEntry (and the chain of
+ * modules that pulled them in). It is written to build-report.json in the build directory, along with a standalone
+ * build-report.html treemap page (see ../templates/build-report-template.html) to visualize which modules bloat the
+ * bundle.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const chalk = require( 'chalk' );
+  const Generator = require( './Generator' );
+  const grunt = require( 'grunt' );
+  const path = require( 'path' );
+  const Util = require( './Util' );
+
+  // constants
+  const REPORT_JSON_FILE = 'build-report.json';
+  const REPORT_HTML_FILE = 'build-report.html';
+  const LARGEST_MODULES_LOGGED = 5;
+
+  class Reporter {
+
+    /**
+     * Generates the build report files in the build directory and logs the largest modules.
+     * @public
+     *
+     * @param {String} buildDirectory - absolute path to the directory to output the report files
+     * @param {Object} bundle - Object literal with:
+     *                          - {String} mainEntry - the main entry module name
+     *                          - {String} outputFile - the output file of the bundle, relative to the build directory
+     *                          - {number} bundleSize - the size of the output file, in bytes
+     *                          - {Object[]} modules - each with a name, path, dependencies (module names), rawSize,
+     *                                                 transpiledSize, and minifiedSize, in the order r.js included them
+     */
+    static generateReport( buildDirectory, bundle ) {
+      Util.assert( typeof buildDirectory === 'string', `invalid buildDirectory: ${ buildDirectory }` );
+      Util.assert( bundle.modules.every( module => typeof module.name === 'string' ), 'invalid modules' );
+
+      const report = {
+        mainEntry: bundle.mainEntry,
+        outputFile: bundle.outputFile,
+        bundleSize: bundle.bundleSize,
+        totals: {
+          rawSize: _.sumBy( bundle.modules, 'rawSize' ),
+          transpiledSize: _.sumBy( bundle.modules, 'transpiledSize' ),
+          minifiedSize: _.sumBy( bundle.modules, 'minifiedSize' )
+        },
+        modules: bundle.modules.map( module => ( {
+          name: module.name,
+          path: Util.toPosixPath( path.relative( Util.REPO_PATH, module.path ) ),
+          dependencies: module.dependencies,
+          rawSize: module.rawSize,
+          transpiledSize: module.transpiledSize,
+          minifiedSize: module.minifiedSize
+        } ) ),
+        transitiveModules: this.getTransitiveModules( bundle.mainEntry, bundle.modules )
+      };
+
+      grunt.file.write( path.join( buildDirectory, REPORT_JSON_FILE ), JSON.stringify( report, null, 2 ) );
+
+      // Escape '<' so that module names can't close the script tag of the report page.
+      Generator.registerRunTimeReplacementValue( 'BUILD_REPORT', JSON.stringify( report ).replace( /</g, '\\u003c' ) );
+      Generator.generateFile( 'templates/build-report-template.html',
+        path.relative( Util.REPO_PATH, path.join( buildDirectory, REPORT_HTML_FILE ) ) );
+
+      // Log the largest modules.
+      Util.logln( chalk`\n\nLargest modules (minified):` );
+      _.sortBy( report.modules, module => -module.minifiedSize ).slice( 0, LARGEST_MODULES_LOGGED ).forEach( module => {
+        const percent = ( module.minifiedSize / report.totals.minifiedSize * 100 ).toFixed( 2 );
+        Util.logln( chalk`  {cyan ${ module.name }}: ${ module.minifiedSize } bytes (${ percent }%)` );
+      } );
+      Util.logln( chalk`\nSee {underline ${ Util.toRepoPath( path.relative( Util.REPO_PATH,
+        path.join( buildDirectory, REPORT_HTML_FILE ) ) ) }} for the full report.` );
+    }
+
+    /**
+     * Gets the modules that were pulled in transitively from the main entry, by traversing the dependency graph
+     * (breadth-first) from the main entry. Each module has the shortest chain of modules that pulled it in, starting
+     * with the main entry.
+     * @public
+     *
+     * @param {String} mainEntry - the main entry module name
+     * @param {Object[]} modules - each with a name and dependencies (module names)
+     * @returns {Object[]} - each with a name and chain (module names), in the order they were reached
+     */
+    static getTransitiveModules( mainEntry, modules ) {
+      const dependencies = {};
+      modules.forEach( module => { dependencies[ module.name ] = module.dependencies; } );
+
+      const chains = { [ mainEntry ]: [ mainEntry ] };
+      const queue = [ mainEntry ];
+      const transitiveModules = [];
+
+      while ( queue.length ) {
+        const name = queue.shift();
+
+        ( dependencies[ name ] || [] ).forEach( dependency => {
+          if ( chains[ dependency ] || !dependencies[ dependency ] ) return; // Already reached or not in the bundle.
+
+          chains[ dependency ] = [ ...chains[ name ], dependency ];
+          transitiveModules.push( { name: dependency, chain: chains[ name ] } );
+          queue.push( dependency );
+        } );
+      }
+      return transitiveModules;
+    }
+  }
+
+  return Reporter;
+} )();
\ No newline at end of file
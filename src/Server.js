@@ -0,0 +1,342 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Local development server that serves the files of a directory over HTTP, using only Node.js built-ins (so that it
+ * works offline). See https://nodejs.org/api/http.html.
+ *
+ * Either serves the source directory (unbundled) or the build directory of the buildrc file. When serving the source
+ * directory of a requirejs project, requests of files that aren't in the source directory fall back to the root of the
+ * repository, so that the requirejs loader and the requirejs paths outside of the source directory (like
+ * '../node_modules/lodash/lodash') resolve. Only the paths that the requirejs config references are served from the
+ * root of the repository.
+ *
+ * The server only listens on the loopback interface by default. Dotfiles (like .env), paths with '..' segments, and
+ * files that fall into the ignore pattern (like node_modules, see Util.IGNORE_PATTERN) of the served directory aren't
+ * served.
+ *
+ * HTML pages are served with a tiny live-reload client, which refreshes the page when files of the served directory
+ * change (see ./Watcher.js). The client is notified with server-sent events, see
+ * https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const Builder = require( './Builder' );
+  const chalk = require( 'chalk' );
+  const fs = require( 'fs' );
+  const grunt = require( 'grunt' );
+  const http = require( 'http' );
+  const ignore = require( 'ignore' );
+  const path = require( 'path' );
+  const requirejs = require( 'requirejs' );
+  const Util = require( './Util' );
+  const Watcher = require( './Watcher' );
+
+  // constants
+  const DEFAULT_HOST = '127.0.0.1';
+  const DEFAULT_PORT = 8080;
+  const LIVE_RELOAD_URL = '/__live-reload';
+
+  // The live-reload client, injected into served HTML pages. Reloads the page when the server sends a event.
+  const LIVE_RELOAD_CLIENT = '<script>'
+    + `new EventSource( '${ LIVE_RELOAD_URL }' ).onmessage = function() { location.reload(); };`
+    + '</script>';
+
+  // Content types of common file extensions. Other files are served as 'application/octet-stream'.
+  const CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    js: 'application/javascript; charset=utf-8',
+    mjs: 'application/javascript; charset=utf-8',
+    css: 'text/css; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    map: 'application/json; charset=utf-8',
+    txt: 'text/plain; charset=utf-8',
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    ico: 'image/x-icon',
+    woff: 'font/woff',
+    woff2: 'font/woff2',
+    ttf: 'font/ttf',
+    mp3: 'audio/mpeg',
+    mp4: 'video/mp4',
+    wasm: 'application/wasm'
+  };
+
+  class Server {
+
+    /**
+     * @param {String} directory - absolute path of the directory to serve
+     * @param {Object} [options] - Object literal with:
+     *                             - {String} [host] - the host (interface) to listen on.
+     *                             - {number} [port] - the port to listen on.
+     *                             - {String} [fallbackDirectory] - absolute path of a directory to serve files from if
+     *                                                              they aren't in the served directory.
+     *                             - {String[]} [fallbackPaths] - absolute paths of the files and directories of the
+     *                                                            fallback directory that may be served.
+     *                             - {String[]} [ignorePattern] - gitignore-style patterns of files to not serve or
+     *                                                            watch for live-reloading.
+     */
+    constructor( directory, {
+      host = DEFAULT_HOST,
+      port = DEFAULT_PORT,
+      fallbackDirectory = null,
+      fallbackPaths = [],
+      ignorePattern = Util.IGNORE_PATTERN
+    } = {} ) {
+      Util.assert( grunt.file.isDir( directory ), `invalid directory: ${ directory }` );
+      Util.assert( typeof host === 'string' && host.trim(), `invalid host: ${ host }` );
+      Util.assert( Number.isInteger( port ) && port >= 0 && port < 65536, `invalid port: ${ port }` );
+      Util.assert( !fallbackDirectory || grunt.file.isDir( fallbackDirectory ),
+        `invalid fallbackDirectory: ${ fallbackDirectory }` );
+      Util.assert( Array.isArray( fallbackPaths ), `invalid fallbackPaths: ${ fallbackPaths }` );
+
+      // @private {String} - see parameter declaration.
+      this._directory = directory;
+
+      // @private {String} - see parameter declaration.
+      this._host = host;
+
+      // @private {number} - see parameter declaration.
+      this._port = port;
+
+      // @private {String|null} - see parameter declaration.
+      this._fallbackDirectory = fallbackDirectory;
+
+      // @private {String[]} - see parameter declaration.
+      this._fallbackPaths = fallbackPaths;
+
+      // @private {Object} - ignore instance that determines which files of the served directory to not serve.
+      this._ignorer = ignore().add( ignorePattern );
+
+      // @private {Set.<http.ServerResponse>} - the open event streams of the live-reload clients.
+      this._clients = new Set();
+
+      // @private {http.Server} - the underlying Node.js server.
+      this._server = http.createServer( ( request, response ) => { this._onRequest( request, response ); } );
+
+      // @private {Watcher} - watches the served directory to notify the live-reload clients when files change.
+      this._watcher = new Watcher( directory, changedPaths => { this._reload( changedPaths ); }, { ignorePattern } );
+    }
+
+    /**
+     * The main API of this file. Serves either the source directory or the build directory of the buildrc file (see
+     * ./Builder.js) with live-reloading, until the process is stopped.
+     * @public
+     *
+     * @param {Object} [options] - Object literal with:
+     *                             - {String} [target] - the name of the build target whose directories to serve. If
+     *                                                   not provided, the first target is served.
+     *                             - {boolean} [build] - indicates if the build directory should be served instead of
+     *                                                   the source directory.
+     *                             - {String} [host] - the host (interface) to listen on.
+     *                             - {number} [port] - the port to listen on.
+     * @returns {Promise} - never resolves, since files are served until the process is stopped.
+     */
+    static async serve( { target, build = false, host = DEFAULT_HOST, port = DEFAULT_PORT } = {} ) {
+      Util.assert( typeof build === 'boolean', `invalid build: ${ build }` );
+
+      const buildConfigurations = Builder.getBuildConfigurations( target );
+      Util.assert( !build || buildConfigurations.length === 1, 'the buildrc.json file declares multiple targets. Run '
+        + chalk`{cyan grunt serve:<target> --build} to serve the build directory of one of them.` );
+
+      const { sourceDirectory, buildDirectory, requirejs } = buildConfigurations[ 0 ];
+      Util.assert( !build || grunt.file.isDir( buildDirectory ), `build directory not found: ${ buildDirectory }. `
+        + chalk`Run {cyan grunt build} before serving it.` );
+
+      const server = build ? new Server( buildDirectory, { host, port } ) : new Server( sourceDirectory, {
+        host,
+        port,
+        fallbackDirectory: requirejs ? Util.REPO_PATH : null,
+        fallbackPaths: requirejs ? await this.getFallbackPaths( sourceDirectory, requirejs.configFile ) : [],
+        ignorePattern: Builder.getIgnorePattern( sourceDirectory, buildDirectory )
+      } );
+      await server.start();
+      return new Promise( () => {} );
+    }
+
+    /**
+     * Gets the paths that the source directory of a requirejs project references outside of itself, which are the
+     * requirejs loader and the paths and packages of its requirejs config. See
+     * https://requirejs.org/docs/api.html#config-paths.
+     * @private
+     *
+     * @param {String} sourceDirectory - absolute path of the source directory
+     * @param {String} configFile - absolute path of the requirejs config file
+     * @returns {Promise.<String[]>} - absolute paths of the referenced files and directories
+     */
+    static async getFallbackPaths( sourceDirectory, configFile ) {
+
+      // Parse the config the same way that r.js parses the mainConfigFile option. Its parse module is loaded
+      // asynchronously.
+      const config = !grunt.file.isFile( configFile ) ? {} : await new Promise( ( resolve, reject ) => {
+        requirejs.tools.useLib( require => {
+          try { resolve( require( 'parse' ).findConfig( grunt.file.read( configFile ) ).config || {} ); }
+          catch( error ) { reject( new Error( `failed to parse the requirejs config ${ configFile }: ${ error }` ) ); }
+        } );
+      } );
+
+      // Paths are relative to the baseUrl, which defaults to the directory of the config file (the data-main script).
+      const baseDirectory = config.baseUrl ? path.join( sourceDirectory, config.baseUrl ) : path.dirname( configFile );
+      const packagePaths = ( config.packages || [] )
+        .map( pkg => typeof pkg === 'string' ? pkg : pkg.location || pkg.name );
+
+      return _.flatten( [ ...Object.values( config.paths || {} ), ...packagePaths ] )
+        .filter( configPath => typeof configPath === 'string' && !/^([a-z]+:|\/)/i.test( configPath ) )
+        .map( configPath => path.join( baseDirectory, configPath ) )
+        .concat( path.join( Util.REPO_PATH, 'node_modules', 'requirejs' ) );
+    }
+
+    /**
+     * Starts the server and watching the served directory.
+     * @public
+     *
+     * @returns {Promise} - resolves when the server is listening.
+     */
+    start() {
+      return new Promise( ( resolve, reject ) => {
+        this._server.once( 'error', error => {
+          reject( error.code !== 'EADDRINUSE' ? error : new Error( `port ${ this._port } is already in use. `
+            + chalk`Run with {yellow --port=<port>} to use another port.` ) );
+        } );
+        this._server.listen( this._port, this._host, () => {
+          this._watcher.start();
+
+          Util.logln( chalk`\nServing {cyan ${ this._directory }} at {cyan http://${ this._host }:${ this._port }/}` );
+          Util.logln( 'Pages reload when files change. Press Ctrl+C to stop.\n' );
+          resolve();
+        } );
+      } );
+    }
+
+    /**
+     * Stops the server and watching the served directory, closing the live-reload clients.
+     * @public
+     */
+    stop() {
+      this._watcher.stop();
+      this._clients.forEach( client => { client.end(); } );
+      this._clients.clear();
+      this._server.close();
+    }
+
+    /**
+     * Responds to a request, either with the live-reload event stream or the requested file.
+     * @private
+     *
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     */
+    _onRequest( request, response ) {
+      const startTime = Date.now();
+      const urlPath = request.url.split( /[?#]/ )[ 0 ];
+
+      if ( urlPath === LIVE_RELOAD_URL ) {
+        response.writeHead( 200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
+        } );
+        response.write( 'retry: 1000\n\n' );
+        this._clients.add( response );
+        request.on( 'close', () => { this._clients.delete( response ); } );
+        return;
+      }
+
+      try {
+        this._serveFile( request, response, decodeURIComponent( urlPath ) );
+      }
+      catch( error ) {
+        const status = error instanceof URIError ? 400 : 500;
+        response.writeHead( status, { 'Content-Type': CONTENT_TYPES.txt } );
+        response.end( http.STATUS_CODES[ status ] );
+      }
+
+      const status = response.statusCode;
+      const color = status < 300 ? 'green' : status < 400 ? 'cyan' : 'red';
+      Util.logln( chalk`${ request.method } ${ request.url } {${ color } ${ status }} ` +
+        chalk`{gray ${ Date.now() - startTime }ms}` );
+    }
+
+    /**
+     * Responds to a request with the requested file, falling back to the fallback paths of the fallback directory. HTML
+     * pages are served with the live-reload client. Dotfiles and paths with '..' segments are refused.
+     * @private
+     *
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @param {String} urlPath - the (decoded) path of the requested url
+     */
+    _serveFile( request, response, urlPath ) {
+      const isRefused = urlPath.split( /[\\/]/ ).some( segment => segment.startsWith( '.' ) );
+
+      let filePath = isRefused ? null : this._resolveFile( this._directory, urlPath );
+      const relativePath = filePath && path.relative( this._directory, filePath ).split( path.sep ).join( '/' );
+      if ( relativePath && this._ignorer.ignores( relativePath ) ) filePath = null;
+      if ( !filePath && !isRefused && this._fallbackDirectory ) {
+        filePath = this._resolveFile( this._fallbackDirectory, urlPath );
+        if ( filePath && !this._fallbackPaths.some( fallbackPath => filePath === fallbackPath
+          || filePath === `${ fallbackPath }.js` || filePath.startsWith( fallbackPath + path.sep ) ) ) filePath = null;
+      }
+
+      if ( !filePath || ![ 'GET', 'HEAD' ].includes( request.method ) ) {
+        const status = isRefused ? 403 : filePath ? 405 : 404;
+        response.writeHead( status, { 'Content-Type': CONTENT_TYPES.txt } );
+        return response.end( http.STATUS_CODES[ status ] );
+      }
+
+      const extension = Util.getExtension( filePath );
+      let contents = fs.readFileSync( filePath );
+
+      if ( extension === 'html' ) {
+        contents = contents.toString();
+        contents = /<\/body>/i.test( contents ) ? contents.replace( /<\/body>/i, `${ LIVE_RELOAD_CLIENT }</body>` ) :
+          contents + LIVE_RELOAD_CLIENT;
+      }
+      response.writeHead( 200, {
+        'Content-Type': CONTENT_TYPES[ extension ] || 'application/octet-stream',
+        'Content-Length': Buffer.byteLength( contents ),
+        'Cache-Control': 'no-cache'
+      } );
+      response.end( request.method === 'HEAD' ? undefined : contents );
+    }
+
+    /**
+     * Resolves the file of a url path in a directory. Directories resolve to their index.html file. Paths outside of
+     * the directory (for instance, with '..' segments) don't resolve.
+     * @private
+     *
+     * @param {String} directory - absolute path of the directory
+     * @param {String} urlPath - the (decoded) path of the requested url
+     * @returns {String|null} - absolute path of the file, or null if it wasn't found
+     */
+    _resolveFile( directory, urlPath ) {
+      let filePath = path.join( directory, path.normalize( urlPath ) );
+      if ( filePath !== directory && !filePath.startsWith( directory + path.sep ) ) return null;
+
+      if ( grunt.file.isDir( filePath ) ) filePath = path.join( filePath, 'index.html' );
+      return grunt.file.isFile( filePath ) ? filePath : null;
+    }
+
+    /**
+     * Notifies the live-reload clients to reload, since files of the served directory changed.
+     * @private
+     *
+     * @param {String[]} changedPaths - paths of the changed files, relative to the served directory
+     */
+    _reload( changedPaths ) {
+      Util.logln( chalk`\n{yellow ${ Util.pluralize( 'file', changedPaths.length ) }} changed, reloading `
+        + `${ Util.pluralize( 'page', this._clients.size ) }...\n` );
+      this._clients.forEach( client => { client.write( 'data: reload\n\n' ); } );
+    }
+  }
+
+  return Server;
+} )();
\ No newline at end of file
@@ -0,0 +1,189 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * Verifies that the JS files of a build only use the syntax that the browser targets support, used by `grunt build`.
+ * See ./Builder.js.
+ *
+ * Builder transpiles code for the browser targets (see Builder.transpile()), but a mistake in the babelOverrideOptions
+ * or a third-party file that isn't transpiled can still ship syntax that the targets don't support (like arrow
+ * functions or classes for IE 11). After building, every JS file of the build directory is parsed with espree (see
+ * https://github.com/eslint/espree) as the highest ECMAScript version that every target supports, for instance
+ * ECMAScript 5 if IE 11 is targeted. The version is computed from the Babel plugins that the targets need (see
+ * getECMAVersion()).
+ *
+ * The build fails with the file, line, and column of the unsupported syntax of each file. If the file has a source map,
+ * the syntax is also mapped back to the original source file (see https://github.com/mozilla/source-map).
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const chalk = require( 'chalk' );
+  const compilationTargets = require( '@babel/helper-compilation-targets' ); // eslint-disable-line require-statement-match
+  const espree = require( 'espree' );
+  const fs = require( 'fs' );
+  const grunt = require( 'grunt' );
+  const path = require( 'path' );
+  const sourceMap = require( 'source-map' ); // eslint-disable-line require-statement-match
+  const Util = require( './Util' );
+
+  // constants
+  // Maps each ECMAScript version (in order) to the Babel plugins that transform its syntax, which browsers that don't
+  // support the syntax need. See https://github.com/babel/babel/tree/main/packages/babel-compat-data
+  const ECMA_VERSION_PLUGINS = {
+    2015: [ 'transform-arrow-functions', 'transform-block-scoping', 'transform-classes',
+      'transform-computed-properties', 'transform-destructuring', 'transform-for-of', 'transform-literals',
+      'transform-new-target', 'transform-parameters', 'transform-regenerator', 'transform-shorthand-properties',
+      'transform-spread', 'transform-sticky-regex', 'transform-template-literals', 'transform-unicode-regex' ],
+    2016: [ 'transform-exponentiation-operator' ],
+    2017: [ 'transform-async-to-generator' ],
+    2018: [ 'transform-async-generator-functions', 'transform-dotall-regex', 'transform-named-capturing-groups-regex',
+      'transform-object-rest-spread' ],
+    2019: [ 'transform-json-strings', 'transform-optional-catch-binding' ],
+    2020: [ 'transform-nullish-coalescing-operator', 'transform-optional-chaining' ]
+  };
+
+  // The highest ECMAScript version that espree can parse. Targets that support every version are not verified, since
+  // they may support syntax that espree doesn't.
+  const LATEST_ECMA_VERSION = 2020;
+
+  // Matches the sourceMappingURL comment at the end of a JS file, with the url as the first group.
+  const SOURCE_MAPPING_URL_REGEX = /\/\/# sourceMappingURL=(\S+)\s*$/;
+
+  // The number of characters of the offending line to show on each side of the unsupported syntax, since the lines of
+  // minified code are long.
+  const EXCERPT_LENGTH = 40;
+
+  class SyntaxVerifier {
+
+    /**
+     * Parses every JS file of the build directory as the highest ECMAScript version that the browser targets support,
+     * and fails the build if a file has syntax that the targets don't support.
+     * @public
+     *
+     * @param {Object} buildConfiguration - see Builder.getBuildConfiguration()
+     */
+    static verify( buildConfiguration ) {
+      const { buildDirectory, compress } = buildConfiguration;
+      const ecmaVersion = this.getECMAVersion( compress.targets );
+
+      if ( ecmaVersion > LATEST_ECMA_VERSION || !grunt.file.isDir( buildDirectory ) ) return;
+      const versionName = ecmaVersion === 5 ? 'ES5' : `ES${ ecmaVersion }`;
+
+      const errors = [];
+      Util.walkDirectory( buildDirectory, ( filePath, relativePath ) => {
+        if ( Util.getExtension( filePath ) !== 'js' ) return;
+        const code = grunt.file.read( filePath );
+
+        try {
+          espree.parse( code, { ecmaVersion, sourceType: 'script' } );
+        }
+        catch( error ) {
+          if ( !( error instanceof SyntaxError ) || !error.lineNumber ) throw error;
+          errors.push( this.formatError( filePath, code, error, chalk`{cyan ${ relativePath }}` ) );
+        }
+      }, [] );
+
+      grunt.verbose.writeln( `Verbose: verified the JS files of ${ buildDirectory } as ${ versionName }` );
+      Util.assert( !errors.length, `${ Util.pluralize( 'build file', errors.length ) } with syntax that isn't `
+        + `${ versionName } (the highest ECMAScript version that every browser target supports):\n\n`
+        + errors.join( '\n\n' ) );
+    }
+
+    /**
+     * Gets the highest ECMAScript version that every browser target supports, which is the version before the first
+     * version with syntax that a target needs a Babel plugin for. Returns a version higher than LATEST_ECMA_VERSION if
+     * the targets support every version of ECMA_VERSION_PLUGINS.
+     * @private
+     *
+     * @param {String[]} targets - the browserslist queries of the targets, see Builder.getBrowserTargets()
+     * @returns {number} - 5 for ECMAScript 5, otherwise the year of the version (for instance 2017)
+     */
+    static getECMAVersion( targets ) {
+      const babelTargets = compilationTargets.default( { browsers: targets } );
+      const versions = Object.keys( ECMA_VERSION_PLUGINS ).map( Number );
+
+      const unsupportedVersion = versions.find( version => ECMA_VERSION_PLUGINS[ version ].some( plugin =>
+        compilationTargets.isRequired( plugin, babelTargets ) ) );
+
+      if ( unsupportedVersion === undefined ) return LATEST_ECMA_VERSION + 1;
+      return unsupportedVersion === 2015 ? 5 : unsupportedVersion - 1;
+    }
+
+    /**
+     * Formats a syntax error of a build file, with an excerpt of the offending line and the position in the original
+     * source file (if the file has a source map).
+     * @private
+     *
+     * @param {String} filePath - absolute path of the build file
+     * @param {string} code - the contents of the build file
+     * @param {SyntaxError} error - the error of espree, with its (1-based) lineNumber and column
+     * @param {String} fileName - the name of the file to display
+     * @returns {string}
+     */
+    static formatError( filePath, code, error, fileName ) {
+      const line = code.split( /\r?\n/ )[ error.lineNumber - 1 ];
+      const column = error.column - 1;
+      const start = Math.max( 0, column - EXCERPT_LENGTH );
+      const excerpt = line.slice( start, column + EXCERPT_LENGTH );
+
+      const lines = [
+        `${ fileName }:${ error.lineNumber }:${ error.column }: ${ error.message.replace( /^Line \d+: /, '' ) }`,
+        `    ${ excerpt }`,
+        `    ${ ' '.repeat( column - start ) }^`
+      ];
+
+      const original = this.getOriginalPosition( filePath, code, error.lineNumber, column );
+      if ( original ) {
+        lines.push( chalk`  from {cyan ${ original.source }}:${ original.line }:${ original.column + 1 }`
+          + ( original.sourceLine ? `: ${ original.sourceLine.trim() }` : '' ) );
+      }
+      return lines.join( '\n' );
+    }
+
+    /**
+     * Maps a position of a build file back to its original source file, using the source map of the build file
+     * (either embedded as a data url or in the file that the sourceMappingURL comment references).
+     * @private
+     *
+     * @param {String} filePath - absolute path of the build file
+     * @param {string} code - the contents of the build file
+     * @param {number} line - 1-based
+     * @param {number} column - 0-based
+     * @returns {Object|null} - { source: {String}, line: {number}, column: {number}, sourceLine: {String|null} }, with
+     *                          the source relative to the root of the repository, or null if it couldn't be mapped.
+     */
+    static getOriginalPosition( filePath, code, line, column ) {
+      const url = ( code.match( SOURCE_MAPPING_URL_REGEX ) || [] )[ 1 ];
+      if ( !url ) return null;
+
+      let consumer;
+      try {
+        const map = url.startsWith( 'data:' ) ? Buffer.from( url.split( ',' )[ 1 ], 'base64' ).toString() :
+          fs.readFileSync( path.join( path.dirname( filePath ), url ), 'utf8' );
+        consumer = new sourceMap.SourceMapConsumer( JSON.parse( map ) );
+      }
+      catch( error ) {
+        grunt.verbose.writeln( `Verbose: failed to read the source map of ${ filePath }: ${ error.message }` );
+        return null;
+      }
+
+      const position = consumer.originalPositionFor( { line, column } );
+      if ( !position.source ) return null;
+
+      const sourceContent = consumer.sourceContentFor( position.source, true );
+      return {
+        source: Util.toPosixPath( path.relative( Util.REPO_PATH, path.resolve( path.dirname( filePath ),
+          position.source ) ) ),
+        line: position.line,
+        column: position.column,
+        sourceLine: sourceContent ? sourceContent.split( /\r?\n/ )[ position.line - 1 ] : null
+      };
+    }
+  }
+
+  return SyntaxVerifier;
+} )();
\ No newline at end of file
@@ -11,6 +11,10 @@
  * convenience method to parse a value from either PACKAGE_JSON or BUILD_RC and provides a helpful error message if
  * the file wasn't implemented correctly to guide the user to correct it.
  *
+ * The buildrc file can either be a buildrc.json file (which may contain comments, see https://json5.org) or a
+ * buildrc.js module that exports the buildrc object. It can extend base buildrc files (for instance, a buildrc file
+ * shared by multiple repositories) with the extends key, and is validated against grunt-config/buildrc-schema.json.
+ *
  * @author Brandon Li <brandon.li820@gmail.com>
  */
 
@@ -18,10 +22,22 @@ module.exports = ( () => {
   'use strict';
 
   // modules
+  const _ = require( 'lodash' ); // eslint-disable-line require-statement-match
+  const Ajv = require( 'ajv' ); // eslint-disable-line require-statement-match
   const chalk = require( 'chalk' );
   const grunt = require( 'grunt' );
+  const JSON5 = require( 'json5' ); // eslint-disable-line require-statement-match
+  const path = require( 'path' );
   const Util = require( './Util' );
 
+  // constants
+  const BUILD_RC_FILES = [ 'buildrc.json', 'buildrc.js' ];
+  const BUILD_RC_SCHEMA = grunt.file.readJSON( path.join( Util.GRUNT_CONFIG_PATH, 'buildrc-schema.json' ) );
+
+  // The buildrc object and the name of its file, which are read lazily. See BUILD_RC.
+  let buildRC;
+  let buildRCFile;
+
   const UserConfig = {
 
     //----------------------------------------------------------------------------------------
@@ -32,10 +48,20 @@ module.exports = ( () => {
     //                                            invoked the command, if it exists.
     PACKAGE_JSON: grunt.file.isFile( 'package.json' ) ? grunt.file.readJSON( 'package.json' ) : undefined,
 
-    // @public {Object} (grunt-config-internal) - reference to the repository buildrc.json object of the root repository
-    //                                            that invoked the command, if it exists. See ./Builder.js for more
-    //                                            documentation of this file.
-    BUILD_RC: grunt.file.isFile( 'buildrc.json' ) ? grunt.file.readJSON( 'buildrc.json' ) : undefined,
+    // @public {Object} (grunt-config-internal) - reference to the repository buildrc object of the root repository
+    //                                            that invoked the command, if it exists, with its extends resolved.
+    //                                            Read lazily, so that a invalid buildrc file only fails the grunt
+    //                                            tasks that use it. See ./Builder.js for more documentation.
+    get BUILD_RC() {
+      if ( buildRCFile === undefined ) {
+        const files = BUILD_RC_FILES.filter( file => grunt.file.isFile( file ) );
+        Util.assert( files.length <= 1, `Found both ${ files.join( ' and ' ) }. Only one buildrc file is allowed.` );
+
+        buildRCFile = files[ 0 ] || null;
+        buildRC = buildRCFile ? UserConfig.readBuildRC( Util.toAbsolutePath( buildRCFile ), [] ) : undefined;
+      }
+      return buildRC;
+    },
 
     // @public {String} (grunt-config-internal) - reference to the GITHUB_ACCESS_TOKEN environment variable if it
     //                                            exists. See ./Labeler.js for more documentation of this variable.
@@ -94,6 +120,166 @@ module.exports = ( () => {
           + '{\n' + getErrorMessage( subpaths ) + '\n  ...\n}' );
       }
       return value;
+    },
+
+    /**
+     * Reads the buildrc file like BUILD_RC, but without failing the grunt task (which exits the process) if the buildrc
+     * file is invalid. For callers that can do without the buildrc file, like the ESLint config (see
+     * ./eslint/.eslintrc.js), which is also loaded outside of grunt (like by editors).
+     * @public
+     *
+     * @returns {Object|null} - the buildrc object, or null if there is no buildrc file or it couldn't be read
+     */
+    tryGetBuildRC() {
+      if ( buildRCFile !== undefined ) return buildRC || null;
+
+      const files = BUILD_RC_FILES.filter( file => grunt.file.isFile( file ) );
+      if ( files.length !== 1 ) return null;
+      try { return UserConfig.readBuildRC( Util.toAbsolutePath( files[ 0 ] ), [], { throwOnError: true } ); }
+      catch( error ) { return null; }
+    },
+
+    /**
+     * Validates BUILD_RC against grunt-config/buildrc-schema.json. If it isn't valid, errors out with every problem at
+     * once, each with the JSON path of the problem and a suggestion for misspelled options.
+     * @public
+     */
+    validateBuildRC() {
+      const ajv = new Ajv( { allErrors: true, verbose: true } );
+      if ( ajv.validate( BUILD_RC_SCHEMA, UserConfig.BUILD_RC ) ) return;
+
+      // Errors of property names are reported once for the name and once (without details) for the object.
+      const errors = ajv.errors.filter( error => error.keyword !== 'propertyNames' );
+
+      const problems = _.uniq( errors.map( error => {
+        let jsonPath = error.dataPath.replace( /\['([A-Za-z_$][\w$-]*)'\]/g, '.$1' ).replace( /^\./, '' );
+        let problem = error.message;
+
+        if ( error.propertyName ) {
+          problem = `key "${ error.propertyName }" ${ problem }`;
+        }
+        else if ( error.keyword === 'type' ) {
+          problem = `should be of type ${ error.params.type.split( ',' ).join( ' or ' ) }.`;
+        }
+        else if ( error.keyword === 'additionalProperties' ) {
+          const key = error.params.additionalProperty;
+          const suggestion = UserConfig.getSuggestion( key, Object.keys( error.parentSchema.properties || {} ) );
+          jsonPath = jsonPath ? `${ jsonPath }.${ key }` : key;
+          problem = `unknown option.${ suggestion ? ` Did you mean "${ suggestion }"?` : '' }`;
+        }
+        else if ( error.keyword === 'enum' ) {
+          const values = error.params.allowedValues;
+          const suggestion = typeof error.data === 'string' && UserConfig.getSuggestion( error.data,
+            values.filter( value => typeof value === 'string' ) );
+          problem = `should be one of ${ values.map( value => JSON.stringify( value ) ).join( ', ' ) }.`
+                    + `${ suggestion ? ` Did you mean "${ suggestion }"?` : '' }`;
+        }
+        return `  ${ chalk.bold( jsonPath || '(root)' ) }: ${ problem }`;
+      } ) );
+
+      Util.throw( chalk.underline( buildRCFile ) + ' was not implemented correctly. It has '
+        + `${ Util.pluralize( 'problem', problems.length ) }:\n${ problems.join( '\n' ) }\n\n`
+        + 'See grunt-config/example.buildrc.json for all available options.' );
+    },
+
+    /**
+     * Reads a buildrc file (either a JSON file that may contain comments or a JS module that exports the buildrc
+     * object) and resolves its extends key. The extends key is either one or a array of base buildrc files, which are
+     * either paths (relative to the buildrc file) or package names. Options of the buildrc file are deeply merged on
+     * top of the options of its base files (in order), and arrays are replaced.
+     * @private
+     *
+     * @param {String} filePath - absolute path of the buildrc file
+     * @param {String[]} extendingFiles - absolute paths of the buildrc files that extend this file, to detect cycles
+     * @param {Object} [options] - Object literal with:
+     *                             - {boolean} [throwOnError] - indicates if errors should be thrown (as a Error)
+     *                                                          instead of failing the grunt task. See tryGetBuildRC().
+     * @returns {Object} - the buildrc object, without the extends key
+     */
+    readBuildRC( filePath, extendingFiles, { throwOnError = false } = {} ) {
+      const fileName = path.relative( Util.REPO_PATH, filePath );
+      const fail = message => {
+        if ( throwOnError ) throw new Error( message );
+        Util.throw( message );
+      };
+
+      if ( extendingFiles.includes( filePath ) ) {
+        fail( 'circular buildrc extends: '
+          + [ ...extendingFiles, filePath ].map( file => path.relative( Util.REPO_PATH, file ) ).join( ' -> ' ) );
+      }
+
+      let contents;
+      if ( Util.getExtension( filePath ) === 'js' ) contents = require( filePath );
+      else {
+        try { contents = JSON5.parse( grunt.file.read( filePath ) ); }
+        catch( error ) { fail( `Failed to parse ${ chalk.underline( fileName ) }: ${ error.message }` ); }
+      }
+      if ( !_.isPlainObject( contents ) ) fail( `${ fileName } must contain (or export) a object.` );
+
+      const { extends: bases, ...options } = contents;
+      if ( !bases ) return options;
+
+      if ( ![].concat( bases ).every( base => typeof base === 'string' ) ) {
+        fail( `the extends key of ${ fileName } must be a path or package name, or a array of them.` );
+      }
+
+      // Resolve the base files relative to the buildrc file, and merge them in order.
+      const baseOptions = [].concat( bases ).map( base => {
+        let basePath;
+        try { basePath = require.resolve( base, { paths: [ path.dirname( filePath ) ] } ); }
+        catch( error ) { fail( `Unable to resolve "${ base }" in the extends key of ${ fileName }.` ); }
+        return UserConfig.readBuildRC( basePath, [ ...extendingFiles, filePath ], { throwOnError } );
+      } );
+      return [ ...baseOptions, options ].reduce( ( merged, next ) => UserConfig.mergeBuildRC( merged, next ), {} );
+    },
+
+    /**
+     * Deeply merges the options of a buildrc object on top of the options of a base buildrc object. Objects are
+     * merged recursively, and all other values (including arrays) are replaced.
+     * @private
+     *
+     * @param {Object} base
+     * @param {Object} options
+     * @returns {Object} - the merged options
+     */
+    mergeBuildRC( base, options ) {
+      const merged = { ...base };
+      Object.keys( options ).forEach( key => {
+        merged[ key ] = _.isPlainObject( base[ key ] ) && _.isPlainObject( options[ key ] ) ?
+          UserConfig.mergeBuildRC( base[ key ], options[ key ] ) : options[ key ];
+      } );
+      return merged;
+    },
+
+    /**
+     * Gets the candidate that is closest to a (misspelled) string, for "did you mean" suggestions. Uses the
+     * Levenshtein distance (see https://en.wikipedia.org/wiki/Levenshtein_distance), case-insensitively.
+     * @private
+     *
+     * @param {String} string
+     * @param {String[]} candidates
+     * @returns {String|null} - the closest candidate, or null if no candidate is close enough
+     */
+    getSuggestion( string, candidates ) {
+      const getDistance = ( a, b ) => {
+        let previousRow = _.range( b.length + 1 );
+
+        for ( let i = 1; i <= a.length; i++ ) {
+          const row = [ i ];
+          for ( let j = 1; j <= b.length; j++ ) {
+            row[ j ] = Math.min( previousRow[ j ] + 1, row[ j - 1 ] + 1,
+              previousRow[ j - 1 ] + ( a[ i - 1 ] === b[ j - 1 ] ? 0 : 1 ) );
+          }
+          previousRow = row;
+        }
+        return previousRow[ b.length ];
+      };
+
+      const maxDistance = Math.max( 2, Math.floor( string.length / 3 ) );
+      const distances = candidates.map( candidate => getDistance( string.toLowerCase(), candidate.toLowerCase() ) );
+      const minDistance = Math.min( ...distances );
+
+      return minDistance <= maxDistance ? candidates[ distances.indexOf( minDistance ) ] : null;
     }
   };
 
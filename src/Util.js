@@ -189,7 +189,7 @@ module.exports = ( () => {
     getInnerDelimeterStrings( string, start, end ) {
 
       // First split the string with the inner delimiter strings with a regular expression
-      const innerDelimterStrings = string.match( new RegExp( `${ start }(.*?)${ end }`, 'gm' ) );
+      const innerDelimterStrings = string.match( new RegExp( `${ start }(.*?)${ end }`, 'gm' ) ) || [];
 
       // Remove the delimiters from the inner strings and return it.
       return innerDelimterStrings.map( innerString => innerString.replace( start, '' ).replace( end, '' ) );
@@ -256,6 +256,15 @@ module.exports = ( () => {
      */
     toAbsolutePath( relativePath ) { return path.join( Util.REPO_PATH, relativePath ); },
 
+    /**
+     * Converts a path to use forward slashes as separators, for paths used in urls, source maps, and ignore patterns.
+     * For instance, Util.toPosixPath( 'src\\Util.js' ) => 'src/Util.js' on windows.
+     * @public
+     *
+     * @param {String} filePath - path to convert
+     */
+    toPosixPath( filePath ) { return filePath.split( path.sep ).join( '/' ); },
+
     /**
      * A grunt-config specific convenience method to throw an error (assert a false value).
      * @public
@@ -290,6 +299,38 @@ module.exports = ( () => {
       }
     },
 
+    /**
+     * Recursively iterates through every file of a directory, skipping files and directories that fall into the
+     * ignore pattern. Unlike grunt.file.recurse, ignored directories (like node_modules) aren't traversed at all.
+     * @public
+     *
+     * @param {String} directory - absolute path of the directory to iterate through
+     * @param {Function} iterator - called with the absolute path and the path relative to directory of each file
+     * @param {String[]} [ignorePattern] - gitignore-style patterns of files and directories to skip
+     */
+    walkDirectory( directory, iterator, ignorePattern = Util.IGNORE_PATTERN ) {
+      Util.assert( grunt.file.isDir( directory ), `invalid directory: ${ directory }` );
+      Util.assert( typeof iterator === 'function', `invalid iterator: ${ iterator }` );
+
+      const ignorer = ignore().add( ignorePattern );
+
+      // Recursive helper that iterates through a subdirectory, relative to directory.
+      const walk = subdirectory => {
+        fs.readdirSync( path.join( directory, subdirectory ) ).sort().forEach( name => {
+          const relativePath = subdirectory ? `${ subdirectory }/${ name }` : name;
+          const absolutePath = path.join( directory, relativePath );
+          const isDirectory = fs.statSync( absolutePath ).isDirectory();
+
+          // The ignore package requires directories to end with a slash to be matched as a directory.
+          if ( ignorer.ignores( isDirectory ? `${ relativePath }/` : relativePath ) ) return;
+
+          if ( isDirectory ) walk( relativePath );
+          else iterator( absolutePath, relativePath );
+        } );
+      };
+      walk( '' );
+    },
+
     // @public {number} CURRENT_YEAR - Static reference to the current full year.
     CURRENT_YEAR: new Date().getUTCFullYear(),
 
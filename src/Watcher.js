@@ -0,0 +1,160 @@
+// Copyright © 2020 Brandon Li. All rights reserved.
+
+/**
+ * File system watcher that watches every file of a directory (recursively) and notifies a listener when files change.
+ *
+ * Uses fs.watch on each subdirectory, since the recursive option of fs.watch isn't supported on every platform. Files
+ * and directories that fall into the ignore pattern (see Util.IGNORE_PATTERN) aren't watched. Directories that are
+ * created while watching are watched as well.
+ *
+ * Changes are debounced, meaning the listener is called once with every path that changed after no more changes
+ * happen for a short period of time. For instance, saving multiple files at once only notifies the listener once.
+ *
+ * @author Brandon Li <brandon.li820@gmail.com>
+ */
+
+module.exports = ( () => {
+  'use strict';
+
+  // modules
+  const fs = require( 'fs' );
+  const grunt = require( 'grunt' );
+  const ignore = require( 'ignore' );
+  const path = require( 'path' );
+  const Util = require( './Util' );
+
+  // constants
+  const DEFAULT_DEBOUNCE = 100; // in milliseconds
+
+  class Watcher {
+
+    /**
+     * @param {String} directory - absolute path of the directory to watch
+     * @param {Function} listener - called with an array of the paths (relative to directory) of the changed files
+     * @param {Object} [options] - Object literal with:
+     *                             - {String[]} [ignorePattern] - gitignore-style patterns of files to not watch.
+     *                             - {number} [debounce] - milliseconds to wait for more changes before notifying.
+     */
+    constructor( directory, listener, { ignorePattern = Util.IGNORE_PATTERN, debounce = DEFAULT_DEBOUNCE } = {} ) {
+      Util.assert( grunt.file.isDir( directory ), `invalid directory: ${ directory }` );
+      Util.assert( typeof listener === 'function', `invalid listener: ${ listener }` );
+      Util.assert( typeof debounce === 'number' && debounce >= 0, `invalid debounce: ${ debounce }` );
+
+      // @private {String} - see parameter declaration.
+      this._directory = directory;
+
+      // @private {Function} - see parameter declaration.
+      this._listener = listener;
+
+      // @private {number} - see parameter declaration.
+      this._debounce = debounce;
+
+      // @private {Object} - ignore instance that determines which files and directories to not watch.
+      this._ignorer = ignore().add( ignorePattern );
+
+      // @private {Object} - maps the relative path of each watched directory to its fs.FSWatcher.
+      this._fsWatchers = {};
+
+      // @private {Set.<String>} - the relative paths that have changed since the listener was last notified.
+      this._changedPaths = new Set();
+
+      // @private {Timeout|null} - the debounce timeout, if changes are waiting to be notified.
+      this._timeout = null;
+    }
+
+    /**
+     * Starts watching the directory.
+     * @public
+     */
+    start() { this._watchDirectory( '' ); }
+
+    /**
+     * Stops watching the directory. Changes that haven't been notified yet are dropped.
+     * @public
+     */
+    stop() {
+      Util.iterate( this._fsWatchers, ( relativePath, fsWatcher ) => { fsWatcher.close(); } );
+      this._fsWatchers = {};
+      this._changedPaths.clear();
+      clearTimeout( this._timeout );
+      this._timeout = null;
+    }
+
+    /**
+     * Watches a directory and all of its subdirectories that don't fall into the ignore pattern.
+     * @private
+     *
+     * @param {String} relativePath - path of the directory, relative to the watched directory
+     */
+    _watchDirectory( relativePath ) {
+      if ( this._fsWatchers[ relativePath ] ) return;
+
+      const absolutePath = path.join( this._directory, relativePath );
+      const fsWatcher = fs.watch( absolutePath, ( eventType, fileName ) => {
+        if ( fileName ) this._onChange( relativePath ? `${ relativePath }/${ fileName }` : fileName );
+      } );
+
+      // The directory was removed, so stop watching it.
+      fsWatcher.on( 'error', () => { this._unwatchDirectory( relativePath ); } );
+      this._fsWatchers[ relativePath ] = fsWatcher;
+
+      fs.readdirSync( absolutePath ).forEach( name => {
+        const subdirectory = relativePath ? `${ relativePath }/${ name }` : name;
+        if ( this._isDirectory( subdirectory ) && !this._ignorer.ignores( `${ subdirectory }/` ) ) {
+          this._watchDirectory( subdirectory );
+        }
+      } );
+    }
+
+    /**
+     * Stops watching a directory and all of its subdirectories.
+     * @private
+     *
+     * @param {String} relativePath - path of the directory, relative to the watched directory
+     */
+    _unwatchDirectory( relativePath ) {
+      Object.keys( this._fsWatchers ).forEach( watchedPath => {
+        if ( watchedPath === relativePath || watchedPath.startsWith( `${ relativePath }/` ) ) {
+          this._fsWatchers[ watchedPath ].close();
+          delete this._fsWatchers[ watchedPath ];
+        }
+      } );
+    }
+
+    /**
+     * Called when a file or directory changes. Records the change and (re)starts the debounce timeout.
+     * @private
+     *
+     * @param {String} relativePath - path of the changed file or directory, relative to the watched directory
+     */
+    _onChange( relativePath ) {
+      const isDirectory = this._isDirectory( relativePath );
+      if ( this._ignorer.ignores( isDirectory ? `${ relativePath }/` : relativePath ) ) return;
+
+      // Watch directories that were created or moved in, and stop watching directories that were removed.
+      if ( isDirectory ) this._watchDirectory( relativePath );
+      else if ( this._fsWatchers[ relativePath ] ) this._unwatchDirectory( relativePath );
+
+      this._changedPaths.add( relativePath );
+
+      clearTimeout( this._timeout );
+      this._timeout = setTimeout( () => {
+        const changedPaths = [ ...this._changedPaths ];
+        this._changedPaths.clear();
+        this._timeout = null;
+        this._listener( changedPaths );
+      }, this._debounce );
+    }
+
+    /**
+     * Convenience method to check if a path (relative to the watched directory) is an existing directory.
+     * @private
+     *
+     * @param {String} relativePath
+     * @returns {boolean}
+     */
+    _isDirectory( relativePath ) { return grunt.file.isDir( this._directory, relativePath ); }
+  }
+
+  return Watcher;
+} )();
\ No newline at end of file
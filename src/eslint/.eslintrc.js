@@ -16,6 +16,20 @@
 
 'use strict';
 
+// modules
+const UserConfig = require( '../UserConfig' );
+
+// The names of the compile-time constants of the buildrc defines option (including the defines of every build target),
+// which are read-only globals of the source code since they are substituted when building. See ../Builder.js.
+// BUILD_INFO is also a constant if the injectBuildInfo option is provided. See ../BuildManifest.js. A invalid buildrc
+// file doesn't fail linting, since this file is also loaded outside of grunt (like by editors).
+const buildRC = UserConfig.tryGetBuildRC() || {};
+const definedGlobals = {};
+[ buildRC, ...Object.values( buildRC.targets || {} ) ].forEach( options => {
+  Object.keys( ( options && options.defines ) || {} ).forEach( name => { definedGlobals[ name ] = false; } );
+  if ( options && options.injectBuildInfo ) definedGlobals.BUILD_INFO = false;
+} );
+
 module.exports = {
 
   // Extend the default configuration.
@@ -173,6 +187,9 @@ module.exports = {
 
     // as used in Gruntfile.js
     module: false,
-    process: false
+    process: false,
+
+    // buildrc defines
+    ...definedGlobals
   }
 };
\ No newline at end of file